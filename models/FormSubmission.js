@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const formSubmissionSchema = new mongoose.Schema({
+  siteId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  formId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Page of the site the form is on
+  page: {
+    type: String,
+    default: null
+  },
+  // Submitted fields as posted (values may be strings or arrays)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Uploaded files are described but not stored
+  files: [{
+    field: String,
+    name: String,
+    mimeType: String,
+    size: Number
+  }],
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  referer: {
+    type: String,
+    default: null
+  },
+  // Result of forwarding the submission to the form's webhook
+  webhook: {
+    url: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: Number,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    attemptedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true, // Automatically manage createdAt and updatedAt
+  collection: 'form_submissions'
+});
+
+// Submissions are listed per form, newest first
+formSubmissionSchema.index({ siteId: 1, formId: 1, createdAt: -1 });
+
+// Static methods
+formSubmissionSchema.statics.findForForm = function(siteId, formId, limit = 100) {
+  return this.find({ siteId, formId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('FormSubmission', formSubmissionSchema);
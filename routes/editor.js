@@ -3,10 +3,51 @@ const fs = require("fs").promises;
 const path = require("path");
 const cheerio = require("cheerio");
 const multer = require("multer");
+const {
+  describeElement,
+  recordEdits,
+} = require("../services/site-edit-service");
+const { normalizeAnalyticsSettings } = require("../services/site-analytics");
+const {
+  normalizeLinkRules,
+  applyLinkRules,
+} = require("../services/link-rules");
+const {
+  createVersion,
+  recordInitialVersion,
+  listVersions,
+  diffVersions,
+  renderDiffHtml,
+  restoreVersion,
+} = require("../services/site-versions");
+const {
+  ELEMENT_ID_ATTRIBUTE,
+  assignElementIds,
+  findElementById,
+} = require("../services/element-ids");
+const {
+  recordOperation,
+  getOperations,
+  undoOperation,
+  redoOperation,
+} = require("../services/edit-operations");
+const {
+  createSiteArchive,
+  createSingleFileHtml,
+} = require("../services/site-export");
+const { removeSiteData } = require("../services/site-data");
+const {
+  isValidSiteId,
+  checkSiteIdParam,
+  readRequestedSite,
+} = require("./site-request");
 
 const router = express.Router();
 const CLONED_SITES_DIR = "./cloned_sites";
 
+// Every :siteId is checked before a route resolves a path with it
+router.param("siteId", checkSiteIdParam);
+
 // Configure multer for image uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -113,6 +154,8 @@ router.get("/api/sites", async (req, res) => {
           originalUrl: metadata.originalUrl,
           clonedAt: metadata.clonedAt,
           lastEdited: metadata.lastEdited || null,
+          pages: metadata.pages || [{ path: "index.html", depth: 0 }],
+          screenshots: getScreenshotUrls(siteId, metadata.screenshots),
         });
       } catch (error) {
         console.warn(`Could not read metadata for site ${siteId}`);
@@ -137,7 +180,13 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
       });
     }
 
-    const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
+    const htmlPath = getPageHtmlPath(siteId, req.query.page);
+    if (!htmlPath) {
+      return res.status(400).json({
+        error: "Invalid page provided",
+        success: false,
+      });
+    }
 
     // Check if the site directory exists
     try {
@@ -152,6 +201,13 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
     const html = await fs.readFile(htmlPath, "utf8");
     const $ = cheerio.load(html);
 
+    // Pages cloned before elements got ids at clone time get them once here
+    const assignedIds = assignElementIds($);
+    if (assignedIds > 0) {
+      await fs.writeFile(htmlPath, $.html());
+      console.log(`Assigned ${assignedIds} element IDs in ${siteId}`);
+    }
+
     // Extract text content and styles
     const textElements = [];
     const colorElements = [];
@@ -165,8 +221,7 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
 
       if (text.length > 0 && text.length < 500) {
         // Skip very long text
-        const elementId = `text_${i}`;
-        $elem.attr("data-editor-id", elementId);
+        const elementId = $elem.attr(ELEMENT_ID_ATTRIBUTE);
 
         textElements.push({
           id: elementId,
@@ -183,10 +238,12 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
       const style = $elem.attr("style") || "";
       const classes = $elem.attr("class") || "";
       const tag = elem.tagName.toLowerCase();
+      const id = $elem.attr(ELEMENT_ID_ATTRIBUTE);
 
       // Skip script, style, and meta tags
       if (["script", "style", "meta", "link", "head", "title"].includes(tag))
         return;
+      if (!id) return;
 
       // Check for inline color styles
       const colorMatch = style.match(
@@ -195,8 +252,7 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
       if (colorMatch) {
         colorMatch.forEach((match, matchIndex) => {
           const [property, value] = match.split(":").map((s) => s.trim());
-          const elementId = `color_${i}_${matchIndex}`;
-          $elem.attr("data-editor-color-id", elementId);
+          const elementId = `color_${id}_${matchIndex}`;
 
           colorElements.push({
             id: elementId,
@@ -229,8 +285,7 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
       ) {
         const text = $elem.text().trim();
         if (text.length > 0 && text.length < 200) {
-          const elementId = `text_color_${i}`;
-          $elem.attr("data-editor-text-color-id", elementId);
+          const elementId = `text_color_${id}`;
 
           colorElements.push({
             id: elementId,
@@ -251,8 +306,7 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
         classes.includes("btn") ||
         classes.includes("button")
       ) {
-        const elementId = `bg_color_${i}`;
-        $elem.attr("data-editor-bg-color-id", elementId);
+        const elementId = `bg_color_${id}`;
 
         colorElements.push({
           id: elementId,
@@ -282,8 +336,7 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
           );
 
         if (colorClasses.length > 0) {
-          const elementId = `class_color_${i}`;
-          $elem.attr("data-editor-class-color-id", elementId);
+          const elementId = `class_color_${id}`;
 
           colorElements.push({
             id: elementId,
@@ -301,18 +354,6 @@ router.get("/api/sites/:siteId/content", async (req, res) => {
       }
     });
 
-    // IMPORTANT: Save the HTML with editor IDs back to the file
-    try {
-      await fs.writeFile(htmlPath, $.html());
-      console.log(`Successfully saved HTML with editor IDs for site ${siteId}`);
-    } catch (saveError) {
-      console.error(
-        `Failed to save HTML with editor IDs for site ${siteId}:`,
-        saveError
-      );
-      throw saveError;
-    }
-
     // Fix asset paths for preview
     let htmlPreview = $.html();
     htmlPreview = htmlPreview.replace(
@@ -356,44 +397,43 @@ router.post("/api/sites/:siteId/text", async (req, res) => {
   const { elementId, newText } = req.body;
 
   try {
-    const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
+    const htmlPath = getPageHtmlPath(siteId, req.body.page);
+    if (!htmlPath) {
+      return res.status(400).json({ success: false, error: "Invalid page" });
+    }
     const html = await fs.readFile(htmlPath, "utf8");
     const $ = cheerio.load(html);
 
     // Find and update the element
-    const element = $(`[data-editor-id="${elementId}"]`);
-    console.log(
-      `Element update request - Selector: "${selector}", ElementId: "${elementId}", Action: "${action}"`
-    );
+    const element = findElementById($, elementId);
+    console.log(`Text update request - ElementId: "${elementId}"`);
 
     if (element.length > 0) {
       console.log(
         `Original text: "${element.text()}", updating to: "${newText}"`
       );
+      const target = describeElement($, element.first());
       element.text(newText);
 
+      await recordInitialSiteVersion(siteId);
+
       // Save the updated HTML
       await fs.writeFile(htmlPath, $.html());
 
       // Update metadata
       await updateSiteMetadata(siteId);
+      await recordSiteEdits(siteId, htmlPath, [
+        { type: "text", target, value: newText },
+      ]);
+      await saveSiteVersion(
+        siteId,
+        req,
+        `Changed text to "${String(newText).substring(0, 60)}"`
+      );
 
       res.json({ success: true, message: "Text updated successfully" });
     } else {
-      // Debug: Check what data-editor-id attributes exist
-      const allEditorElements = $("[data-editor-id]");
-      console.log(
-        `Available editor IDs: ${allEditorElements
-          .map((i, el) => $(el).attr("data-editor-id"))
-          .get()
-          .join(", ")}`
-      );
-      res.status(404).json({
-        error: `Element not found. Available IDs: ${allEditorElements
-          .map((i, el) => $(el).attr("data-editor-id"))
-          .get()
-          .join(", ")}`,
-      });
+      res.status(404).json({ error: `Element not found: ${elementId}` });
     }
   } catch (error) {
     res.status(500).json({ error: "Failed to update text: " + error.message });
@@ -406,31 +446,34 @@ router.post("/api/sites/:siteId/color", async (req, res) => {
   const { elementId, property, newColor, type } = req.body;
 
   try {
-    const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
+    const htmlPath = getPageHtmlPath(siteId, req.body.page);
+    if (!htmlPath) {
+      return res.status(400).json({ success: false, error: "Invalid page" });
+    }
     const html = await fs.readFile(htmlPath, "utf8");
     const $ = cheerio.load(html);
 
-    let element;
     let found = false;
+    const element = findElementById($, elementId);
 
-    // Find element based on type
-    if (elementId.startsWith("text_color_")) {
-      element = $(`[data-editor-text-color-id="${elementId}"]`);
-    } else if (elementId.startsWith("bg_color_")) {
-      element = $(`[data-editor-bg-color-id="${elementId}"]`);
-    } else if (elementId.startsWith("class_color_")) {
-      element = $(`[data-editor-class-color-id="${elementId}"]`);
-    } else {
-      element = $(`[data-editor-color-id="${elementId}"]`);
-    }
-
+    let edit;
     if (element.length > 0) {
       let currentStyle = element.attr("style") || "";
+      const target = describeElement($, element.first());
+      await recordInitialSiteVersion(siteId);
 
       // Handle different types of color updates
       if (type === "class" || property === "class-override") {
         // For class-based colors, we use CSS injection
-        await injectCustomCSS(siteId, elementId, property, newColor, element);
+        await injectCustomCSS(
+          siteId,
+          elementId,
+          property,
+          newColor,
+          element,
+          $
+        );
+        edit = { type: "class-color", target, elementId };
       } else {
         // For direct style properties
         const targetProperty =
@@ -449,6 +492,7 @@ router.post("/api/sites/:siteId/color", async (req, res) => {
         // Add new color property with !important to override classes
         currentStyle += `${targetProperty}: ${newColor} !important;`;
         element.attr("style", currentStyle);
+        edit = { type: "style", target, value: currentStyle };
       }
 
       found = true;
@@ -460,6 +504,12 @@ router.post("/api/sites/:siteId/color", async (req, res) => {
 
       // Update metadata
       await updateSiteMetadata(siteId);
+      await recordSiteEdits(siteId, htmlPath, [edit]);
+      await saveSiteVersion(
+        siteId,
+        req,
+        `Changed color of ${elementId} to ${newColor}`
+      );
 
       res.json({ success: true, message: "Color updated successfully" });
     } else {
@@ -470,8 +520,16 @@ router.post("/api/sites/:siteId/color", async (req, res) => {
   }
 });
 
-// Helper function to inject custom CSS for class-based overrides
-async function injectCustomCSS(siteId, elementId, property, newColor, element) {
+// Helper function to inject custom CSS for class-based overrides. The element
+// is marked and the stylesheet linked in the page being edited ($).
+async function injectCustomCSS(
+  siteId,
+  elementId,
+  property,
+  newColor,
+  element,
+  $
+) {
   const customCSSPath = path.join(
     CLONED_SITES_DIR,
     siteId,
@@ -505,13 +563,9 @@ async function injectCustomCSS(siteId, elementId, property, newColor, element) {
   await fs.writeFile(customCSSPath, cssContent);
 
   // Add CSS link to HTML if not present
-  const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
-  const html = await fs.readFile(htmlPath, "utf8");
-  const $ = cheerio.load(html);
-
+  element.attr("data-editor-class-color-id", elementId);
   if (!$('link[href="./custom-colors.css"]').length) {
     $("head").append('<link rel="stylesheet" href="./custom-colors.css">');
-    await fs.writeFile(htmlPath, $.html());
   }
 }
 
@@ -521,16 +575,24 @@ router.post("/api/sites/:siteId/save", async (req, res) => {
   const { textChanges, colorChanges } = req.body;
 
   try {
-    const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
+    const htmlPath = getPageHtmlPath(siteId, req.body.page);
+    if (!htmlPath) {
+      return res.status(400).json({ success: false, error: "Invalid page" });
+    }
     const html = await fs.readFile(htmlPath, "utf8");
     const $ = cheerio.load(html);
+    await recordInitialSiteVersion(siteId);
+
+    const edits = [];
 
     // Apply text changes
     if (textChanges) {
       for (const change of textChanges) {
-        const element = $(`[data-editor-id="${change.elementId}"]`);
+        const element = findElementById($, change.elementId);
         if (element.length > 0) {
+          const target = describeElement($, element.first());
           element.text(change.newText);
+          edits.push({ type: "text", target, value: change.newText });
         }
       }
     }
@@ -538,21 +600,11 @@ router.post("/api/sites/:siteId/save", async (req, res) => {
     // Apply color changes
     if (colorChanges) {
       for (const change of colorChanges) {
-        let element;
         const { elementId, property, newColor, type } = change;
-
-        // Find element based on type
-        if (elementId.startsWith("text_color_")) {
-          element = $(`[data-editor-text-color-id="${elementId}"]`);
-        } else if (elementId.startsWith("bg_color_")) {
-          element = $(`[data-editor-bg-color-id="${elementId}"]`);
-        } else if (elementId.startsWith("class_color_")) {
-          element = $(`[data-editor-class-color-id="${elementId}"]`);
-        } else {
-          element = $(`[data-editor-color-id="${elementId}"]`);
-        }
+        const element = findElementById($, elementId);
 
         if (element.length > 0) {
+          const target = describeElement($, element.first());
           if (type === "class" || property === "class-override") {
             // Handle class-based colors with CSS injection
             await injectCustomCSS(
@@ -560,8 +612,10 @@ router.post("/api/sites/:siteId/save", async (req, res) => {
               elementId,
               property,
               newColor,
-              element
+              element,
+              $
             );
+            edits.push({ type: "class-color", target, elementId });
           } else {
             // Handle direct style properties
             let currentStyle = element.attr("style") || "";
@@ -578,29 +632,19 @@ router.post("/api/sites/:siteId/save", async (req, res) => {
             );
             currentStyle += `${targetProperty}: ${newColor} !important;`;
             element.attr("style", currentStyle);
+            edits.push({ type: "style", target, value: currentStyle });
           }
         }
       }
     }
 
-    // Create backup
-    const backupPath = path.join(
-      CLONED_SITES_DIR,
-      siteId,
-      `backup_${Date.now()}.html`
-    );
-    try {
-      const originalHtml = await fs.readFile(htmlPath, "utf8");
-      await fs.writeFile(backupPath, originalHtml);
-    } catch (backupError) {
-      console.warn("Could not create backup:", backupError);
-    }
-
     // Save the updated HTML
     await fs.writeFile(htmlPath, $.html());
 
     // Update metadata
     await updateSiteMetadata(siteId);
+    await recordSiteEdits(siteId, htmlPath, edits);
+    await saveSiteVersion(siteId, req, `Saved ${edits.length} changes`);
 
     res.json({
       success: true,
@@ -650,6 +694,96 @@ function getElementSelector($elem, index) {
   return tag;
 }
 
+// Resolve the HTML file of a (crawled) page, defaulting to the landing page.
+// Returns null for invalid site IDs, paths escaping the site folder or
+// non-HTML files.
+function getPageHtmlPath(siteId, page) {
+  if (!isValidSiteId(siteId)) return null;
+  const siteDir = path.resolve(CLONED_SITES_DIR, siteId);
+  const htmlPath = path.resolve(siteDir, page || "index.html");
+  if (
+    !htmlPath.startsWith(siteDir + path.sep) ||
+    path.extname(htmlPath) !== ".html"
+  ) {
+    return null;
+  }
+  return htmlPath;
+}
+
+// Public URLs of the screenshots recorded for a site, or null without any
+function getScreenshotUrls(siteId, screenshots) {
+  if (!screenshots) return null;
+  return {
+    full: `/cloned-sites/${siteId}/${screenshots.full}`,
+    desktop: `/cloned-sites/${siteId}/${screenshots.desktop}`,
+    mobile: `/cloned-sites/${siteId}/${screenshots.mobile}`,
+    capturedAt: screenshots.capturedAt,
+  };
+}
+
+// Site-relative path of a page's HTML file
+function getPagePath(siteId, htmlPath) {
+  const siteDir = path.resolve(CLONED_SITES_DIR, siteId);
+  return path.relative(siteDir, htmlPath).split(path.sep).join("/");
+}
+
+// Record edits made to a page so they can be re-applied after a refresh.
+// Returns the recorded entries.
+async function recordSiteEdits(siteId, htmlPath, edits) {
+  const page = getPagePath(siteId, htmlPath);
+  return recordEdits(
+    path.resolve(CLONED_SITES_DIR, siteId),
+    edits.map((edit) => ({ ...edit, page }))
+  );
+}
+
+// Log an operation in the editing session of a request (X-Editor-Session)
+// so it can be undone. Requests without a session are not logged.
+async function recordSiteOperation(siteId, req, htmlPath, operation) {
+  const sessionId = req.get("X-Editor-Session");
+  if (!sessionId) return;
+
+  try {
+    await recordOperation(path.join(CLONED_SITES_DIR, siteId), sessionId, {
+      ...operation,
+      page: getPagePath(siteId, htmlPath),
+    });
+  } catch (error) {
+    console.warn("Could not record operation:", error.message);
+  }
+}
+
+// Summaries of the element route's actions in version history
+const ELEMENT_ACTION_SUMMARIES = {
+  updateText: "Changed text of",
+  updateHtml: "Changed HTML of",
+  updateCss: "Changed style of",
+  delete: "Deleted",
+};
+
+// Keep the site as it was before its first edit as a version, so that edit
+// can be undone
+async function recordInitialSiteVersion(siteId) {
+  try {
+    await recordInitialVersion(path.join(CLONED_SITES_DIR, siteId));
+  } catch (error) {
+    console.warn("Could not record initial version:", error.message);
+  }
+}
+
+// Record the site after an edit as a version. The author is taken from the
+// X-Editor-Author header.
+async function saveSiteVersion(siteId, req, summary) {
+  try {
+    await createVersion(path.join(CLONED_SITES_DIR, siteId), {
+      author: req.get("X-Editor-Author"),
+      summary,
+    });
+  } catch (error) {
+    console.warn("Could not record version:", error.message);
+  }
+}
+
 async function updateSiteMetadata(siteId) {
   try {
     const metadataPath = path.join(CLONED_SITES_DIR, siteId, "metadata.json");
@@ -676,14 +810,15 @@ router.post("/api/sites/:siteId/element", async (req, res) => {
       );
     }
 
-    const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
+    const htmlPath = getPageHtmlPath(siteId, req.body.page);
+    if (!htmlPath) {
+      return res.status(400).json({ success: false, error: "Invalid page" });
+    }
     const html = await fs.readFile(htmlPath, "utf8");
     const $ = cheerio.load(html);
 
-    // Find element by unique data attribute first, then fallback to selector
-    let elements = elementId
-      ? $(`[data-editor-element-id="${elementId}"]`)
-      : $();
+    // Find element by its stable ID first, then fallback to selector
+    let elements = findElementById($, elementId);
     console.log(
       `Found ${elements.length} elements by elementId: "${elementId}"`
     );
@@ -868,21 +1003,28 @@ router.post("/api/sites/:siteId/element", async (req, res) => {
       );
     }
 
+    const target = describeElement($, element);
+    let edit;
+
     switch (action) {
       case "updateText":
         element.text(value);
+        edit = { type: "text", target, value };
         break;
 
       case "updateHtml":
         element.html(value);
+        edit = { type: "html", target, value };
         break;
 
       case "updateCss":
         element.attr("style", value);
+        edit = { type: "style", target, value };
         break;
 
       case "delete":
         element.remove();
+        edit = { type: "delete", target };
         break;
 
       default:
@@ -892,24 +1034,23 @@ router.post("/api/sites/:siteId/element", async (req, res) => {
         });
     }
 
-    // Create backup
-    const backupPath = path.join(
-      CLONED_SITES_DIR,
-      siteId,
-      `backup_${Date.now()}.html`
-    );
-    try {
-      const originalHtml = await fs.readFile(htmlPath, "utf8");
-      await fs.writeFile(backupPath, originalHtml);
-    } catch (backupError) {
-      console.warn("Could not create backup:", backupError);
-    }
+    await recordInitialSiteVersion(siteId);
 
     // Save the updated HTML
     await fs.writeFile(htmlPath, $.html());
 
     // Update metadata
     await updateSiteMetadata(siteId);
+    const summary = `${ELEMENT_ACTION_SUMMARIES[action]} <${target.tag}>`;
+    const edits = await recordSiteEdits(siteId, htmlPath, [edit]);
+    await saveSiteVersion(siteId, req, summary);
+    await recordSiteOperation(siteId, req, htmlPath, {
+      type: edit.type,
+      summary,
+      before: html,
+      after: $.html(),
+      edits,
+    });
 
     res.json({
       success: true,
@@ -925,6 +1066,446 @@ router.post("/api/sites/:siteId/element", async (req, res) => {
   }
 });
 
+// Get the tracking snippets injected into a site when it is served
+router.get("/api/sites/:siteId/analytics", async (req, res) => {
+  const { siteId } = req.params;
+
+  try {
+    const metadataPath = path.join(CLONED_SITES_DIR, siteId, "metadata.json");
+    const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+
+    res.json({
+      success: true,
+      analytics: metadata.analytics || normalizeAnalyticsSettings(),
+    });
+  } catch (error) {
+    res.status(404).json({ success: false, error: "Site not found" });
+  }
+});
+
+// Update the tracking snippets of a site
+router.post("/api/sites/:siteId/analytics", async (req, res) => {
+  const { siteId } = req.params;
+
+  let analytics;
+  try {
+    analytics = normalizeAnalyticsSettings(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const metadataPath = path.join(CLONED_SITES_DIR, siteId, "metadata.json");
+    let metadata;
+    try {
+      metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+    } catch (error) {
+      return res.status(404).json({ success: false, error: "Site not found" });
+    }
+
+    await recordInitialSiteVersion(siteId);
+    metadata.analytics = analytics;
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    await saveSiteVersion(siteId, req, "Updated tracking snippets");
+
+    console.log(`📈 Analytics settings updated for ${siteId}`);
+    res.json({ success: true, analytics });
+  } catch (error) {
+    console.error("Analytics settings error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save analytics settings: " + error.message,
+    });
+  }
+});
+
+// Run a link-rewrite rule set over every page of a site. Pages are only
+// written when save is set; either way the changes are returned per page.
+async function applyLinkRulesToSite(siteId, metadata, rules, save) {
+  const siteDir = path.join(CLONED_SITES_DIR, siteId);
+  const pages = metadata.pages || [
+    { url: metadata.originalUrl, path: "index.html" },
+  ];
+
+  const changes = [];
+  for (const page of pages) {
+    const filePath = path.join(siteDir, page.path);
+    let html;
+    try {
+      html = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      continue;
+    }
+
+    const $ = cheerio.load(html);
+    const pageChanges = applyLinkRules(
+      $,
+      rules,
+      page.url || metadata.originalUrl
+    );
+    changes.push(
+      ...pageChanges.map((change) => ({ page: page.path, ...change }))
+    );
+    if (save) {
+      await fs.writeFile(filePath, $.html());
+    }
+  }
+  return changes;
+}
+
+// Get the link-rewrite rules of a site
+router.get("/api/sites/:siteId/link-rules", async (req, res) => {
+  const metadata = await readRequestedSite(req, res);
+  if (!metadata) return;
+
+  res.json({ success: true, rules: metadata.linkRules || [] });
+});
+
+// Show which links a rule set would rewrite, without changing the site
+router.post("/api/sites/:siteId/link-rules/preview", async (req, res) => {
+  const metadata = await readRequestedSite(req, res);
+  if (!metadata) return;
+
+  let rules;
+  try {
+    rules = normalizeLinkRules(req.body.rules);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const changes = await applyLinkRulesToSite(
+      req.params.siteId,
+      metadata,
+      rules,
+      false
+    );
+    res.json({ success: true, rules, changes });
+  } catch (error) {
+    console.error("Link rules preview error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to preview link rules: " + error.message,
+    });
+  }
+});
+
+// Replace the link-rewrite rules of a site and apply them to every page.
+// Links rewritten by the previous rules are restored first, so an empty rule
+// set puts every link back.
+router.post("/api/sites/:siteId/link-rules", async (req, res) => {
+  const { siteId } = req.params;
+  const metadata = await readRequestedSite(req, res);
+  if (!metadata) return;
+
+  let rules;
+  try {
+    rules = normalizeLinkRules(req.body.rules);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    await recordInitialSiteVersion(siteId);
+    const changes = await applyLinkRulesToSite(siteId, metadata, rules, true);
+
+    metadata.linkRules = rules;
+    await fs.writeFile(
+      path.join(CLONED_SITES_DIR, siteId, "metadata.json"),
+      JSON.stringify(metadata, null, 2)
+    );
+    await saveSiteVersion(
+      siteId,
+      req,
+      `Updated link rules (${rules.length} rules, ${changes.length} links rewritten)`
+    );
+
+    console.log(
+      `🔗 Link rules updated for ${siteId}: ${changes.length} links rewritten`
+    );
+    res.json({ success: true, rules, changes });
+  } catch (error) {
+    console.error("Link rules error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save link rules: " + error.message,
+    });
+  }
+});
+
+// List the versions of a site, newest first
+router.get("/api/sites/:siteId/versions", async (req, res) => {
+  const { siteId } = req.params;
+  if (!(await readRequestedSite(req, res))) return;
+
+  try {
+    const versions = await listVersions(path.join(CLONED_SITES_DIR, siteId));
+    res.json({ success: true, siteId, versions });
+  } catch (error) {
+    console.error("Version listing error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Diff two versions (?from=&to=, defaulting to the latest version and the
+// one before it). ?format=html renders the diff as a page.
+router.get("/api/sites/:siteId/versions/diff", async (req, res) => {
+  const { siteId } = req.params;
+  if (!(await readRequestedSite(req, res))) return;
+  const siteDir = path.join(CLONED_SITES_DIR, siteId);
+
+  try {
+    const versions = await listVersions(siteDir);
+    if (versions.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Site has no versions" });
+    }
+
+    const to = req.query.to || versions[0].id;
+    let from = req.query.from;
+    if (!from) {
+      const index = versions.findIndex(
+        (version) => String(version.id) === String(to)
+      );
+      from = index !== -1 && versions[index + 1] ? versions[index + 1].id : to;
+    }
+
+    const diff = await diffVersions(siteDir, from, to);
+    if (req.query.format === "html") {
+      return res.type("html").send(renderDiffHtml(siteId, diff));
+    }
+    res.json({ success: true, siteId, ...diff });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, error: error.message });
+    }
+    console.error("Version diff error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Put a site back to a version. The restore is recorded as a new version.
+router.post(
+  "/api/sites/:siteId/versions/:versionId/restore",
+  async (req, res) => {
+    const { siteId, versionId } = req.params;
+    if (!(await readRequestedSite(req, res))) return;
+
+    try {
+      const version = await restoreVersion(
+        path.join(CLONED_SITES_DIR, siteId),
+        versionId,
+        req.get("X-Editor-Author")
+      );
+
+      console.log(`⏪ Restored version ${versionId} of ${siteId}`);
+      res.json({
+        success: true,
+        siteId,
+        restored: Number(versionId),
+        version: {
+          id: version.id,
+          createdAt: version.createdAt,
+          author: version.author,
+          summary: version.summary,
+          changedFiles: version.changedFiles,
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, error: error.message });
+      }
+      console.error("Version restore error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to restore version: " + error.message,
+      });
+    }
+  }
+);
+
+// Operations of the editing session (X-Editor-Session), newest first
+router.get("/api/sites/:siteId/operations", async (req, res) => {
+  const { siteId } = req.params;
+  if (!(await readRequestedSite(req, res))) return;
+
+  try {
+    const log = await getOperations(
+      path.join(CLONED_SITES_DIR, siteId),
+      req.get("X-Editor-Session")
+    );
+    res.json({ success: true, siteId, ...log });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, error: error.message });
+    }
+    console.error("Operation log error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Undo or redo an operation of the editing session of a request
+async function stepSiteOperation(req, res, direction) {
+  const { siteId } = req.params;
+  if (!(await readRequestedSite(req, res))) return;
+  const siteDir = path.join(CLONED_SITES_DIR, siteId);
+
+  try {
+    const sessionId = req.get("X-Editor-Session");
+    const operation =
+      direction === "undo"
+        ? await undoOperation(siteDir, sessionId)
+        : await redoOperation(siteDir, sessionId);
+    await saveSiteVersion(
+      siteId,
+      req,
+      `${direction === "undo" ? "Undid" : "Redid"}: ${operation.summary}`
+    );
+
+    console.log(`↩️ ${direction} "${operation.summary}" on ${siteId}`);
+    res.json({
+      success: true,
+      siteId,
+      operation,
+      ...(await getOperations(siteDir, sessionId)),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, error: error.message });
+    }
+    console.error(`Operation ${direction} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${direction}: ` + error.message,
+    });
+  }
+}
+
+// Undo the latest operation of the editing session. Refused (409) when the
+// page changed since the operation.
+router.post("/api/sites/:siteId/operations/undo", (req, res) =>
+  stepSiteOperation(req, res, "undo")
+);
+
+// Redo the operation of the editing session undone last. Refused (409) when
+// the page changed since the undo.
+router.post("/api/sites/:siteId/operations/redo", (req, res) =>
+  stepSiteOperation(req, res, "redo")
+);
+
+// Download a site as a ZIP bundle for static hosting. ?relative=true makes
+// every reference page-relative so the bundle works from any folder.
+router.get("/api/sites/:siteId/export", async (req, res) => {
+  const { siteId } = req.params;
+  const siteDir = path.join(CLONED_SITES_DIR, siteId);
+
+  try {
+    await fs.access(path.join(siteDir, "index.html"));
+  } catch (error) {
+    return res.status(404).json({ success: false, error: "Site not found" });
+  }
+
+  try {
+    const archive = await createSiteArchive(siteDir, {
+      relativePaths: req.query.relative === "true",
+    });
+
+    console.log(`📦 Exporting ${siteId} as ZIP`);
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${siteId}.zip"`
+    );
+    archive
+      .generateNodeStream({
+        type: "nodebuffer",
+        streamFiles: true,
+        compression: "DEFLATE",
+      })
+      .on("error", (error) => {
+        console.error("Export stream error:", error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error("Site export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export site: " + error.message,
+    });
+  }
+});
+
+// Download a page as one self-contained HTML file (CSS, scripts, images and
+// fonts inlined). ?maxAssetSize=<bytes> leaves larger assets on their original
+// URL; ?format=json returns the HTML with its size report instead.
+router.get("/api/sites/:siteId/export/html", async (req, res) => {
+  const { siteId } = req.params;
+  const { page, format } = req.query;
+  const siteDir = path.join(CLONED_SITES_DIR, siteId);
+
+  const htmlPath = getPageHtmlPath(siteId, page);
+  if (!htmlPath) {
+    return res.status(400).json({ success: false, error: "Invalid page" });
+  }
+
+  let maxAssetSize = Infinity;
+  if (req.query.maxAssetSize !== undefined) {
+    maxAssetSize = Number(req.query.maxAssetSize);
+    if (!Number.isInteger(maxAssetSize) || maxAssetSize < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "maxAssetSize must be a number of bytes",
+      });
+    }
+  }
+
+  try {
+    await fs.access(htmlPath);
+  } catch (error) {
+    return res.status(404).json({ success: false, error: "Page not found" });
+  }
+
+  try {
+    const { html, report } = await createSingleFileHtml(siteDir, {
+      page: path
+        .relative(path.resolve(siteDir), htmlPath)
+        .split(path.sep)
+        .join("/"),
+      maxAssetSize,
+    });
+    console.log(
+      `📄 Single-file export of ${siteId}/${report.page}: ${report.size} bytes, ${report.inlined.count} assets inlined, ${report.skipped.length} skipped`
+    );
+
+    if (format === "json") {
+      return res.json({ success: true, html, report });
+    }
+
+    const fileName = `${siteId}-${report.page.replace(/\//g, "-")}`;
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("X-Export-Size", report.size);
+    res.setHeader("X-Export-Skipped-Assets", report.skipped.length);
+    res.send(html);
+  } catch (error) {
+    console.error("Single-file export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export page: " + error.message,
+    });
+  }
+});
+
 // Delete a cloned site
 router.delete("/api/sites/:siteId", async (req, res) => {
   const { siteId } = req.params;
@@ -961,6 +1542,7 @@ router.delete("/api/sites/:siteId", async (req, res) => {
     };
 
     await deleteFolderRecursive(sitePath);
+    await removeSiteData(siteId);
 
     res.json({ success: true, message: `Site ${siteId} deleted successfully` });
   } catch (error) {
@@ -981,7 +1563,10 @@ router.post("/api/sites/:siteId/font", async (req, res) => {
         .json({ success: false, error: "Font family is required" });
     }
 
-    const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
+    const htmlPath = getPageHtmlPath(siteId, req.body.page);
+    if (!htmlPath) {
+      return res.status(400).json({ success: false, error: "Invalid page" });
+    }
     const html = await fs.readFile(htmlPath, "utf8");
     const $ = cheerio.load(html);
 
@@ -997,24 +1582,24 @@ router.post("/api/sites/:siteId/font", async (req, res) => {
     const fontCSS = `body, * { font-family: ${fontFamily} !important; }`;
     fontStyleTag.html(fontCSS);
 
-    // Create backup
-    const backupPath = path.join(
-      CLONED_SITES_DIR,
-      siteId,
-      `backup_${Date.now()}.html`
-    );
-    try {
-      const originalHtml = await fs.readFile(htmlPath, "utf8");
-      await fs.writeFile(backupPath, originalHtml);
-    } catch (backupError) {
-      console.warn("Could not create backup:", backupError);
-    }
+    await recordInitialSiteVersion(siteId);
 
     // Save the updated HTML
     await fs.writeFile(htmlPath, $.html());
 
     // Update metadata
     await updateSiteMetadata(siteId);
+    const edits = await recordSiteEdits(siteId, htmlPath, [
+      { type: "font", fontFamily },
+    ]);
+    await saveSiteVersion(siteId, req, `Set font to ${fontFamily}`);
+    await recordSiteOperation(siteId, req, htmlPath, {
+      type: "font",
+      summary: `Set font to ${fontFamily}`,
+      before: html,
+      after: $.html(),
+      edits,
+    });
 
     res.json({
       success: true,
@@ -1049,14 +1634,15 @@ router.post(
         `Image replacement request - Selector: "${selector}", ElementId: "${elementId}"`
       );
 
-      const htmlPath = path.join(CLONED_SITES_DIR, siteId, "index.html");
+      const htmlPath = getPageHtmlPath(siteId, req.body.page);
+      if (!htmlPath) {
+        return res.status(400).json({ success: false, error: "Invalid page" });
+      }
       const html = await fs.readFile(htmlPath, "utf8");
       const $ = cheerio.load(html);
 
-      // Find element by unique data attribute first, then fallback to selector
-      let elements = elementId
-        ? $(`[data-editor-element-id="${elementId}"]`)
-        : $();
+      // Find element by its stable ID first, then fallback to selector
+      let elements = findElementById($, elementId);
 
       if (elements.length === 0) {
         elements = $(selector);
@@ -1100,6 +1686,8 @@ router.post(
       // Generate the new image path
       const newImagePath = `./assets/${req.file.filename}`;
 
+      const target = describeElement($, element);
+
       // Store original attributes before making changes
       const originalWidth = element.attr("width");
       const originalHeight = element.attr("height");
@@ -1154,24 +1742,25 @@ router.post(
       console.log("Updated src:", element.attr("src"));
       console.log("Lazy loading attributes cleared");
 
-      // Create backup
-      const backupPath = path.join(
-        CLONED_SITES_DIR,
-        siteId,
-        `backup_${Date.now()}.html`
-      );
-      try {
-        const originalHtml = await fs.readFile(htmlPath, "utf8");
-        await fs.writeFile(backupPath, originalHtml);
-      } catch (backupError) {
-        console.warn("Could not create backup:", backupError);
-      }
+      await recordInitialSiteVersion(siteId);
 
       // Save the updated HTML
       await fs.writeFile(htmlPath, $.html());
 
       // Update metadata
       await updateSiteMetadata(siteId);
+      const edits = await recordSiteEdits(siteId, htmlPath, [
+        { type: "image", target, src: newImagePath, style: newStyle },
+      ]);
+      const summary = `Replaced image with ${req.file.originalname}`;
+      await saveSiteVersion(siteId, req, summary);
+      await recordSiteOperation(siteId, req, htmlPath, {
+        type: "image",
+        summary,
+        before: html,
+        after: $.html(),
+        edits,
+      });
 
       res.json({
         success: true,
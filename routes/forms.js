@@ -0,0 +1,344 @@
+const express = require("express");
+const fs = require("fs").promises;
+const path = require("path");
+const cheerio = require("cheerio");
+const multer = require("multer");
+const FormSubmission = require("../models/FormSubmission");
+const {
+  FORM_ID_PATTERN,
+  getSubmitPath,
+  detectForms,
+  mergeFormSettings,
+  readFormWebhooks,
+  writeFormWebhooks,
+  moveFormWebhooks,
+  rerouteForm,
+  restoreForm,
+  normalizeFormSettings,
+  formatSubmissionsCsv,
+  forwardSubmission,
+} = require("../services/form-capture");
+const {
+  createVersion,
+  recordInitialVersion,
+} = require("../services/site-versions");
+const { checkSiteIdParam, readRequestedSite } = require("./site-request");
+
+const router = express.Router();
+const CLONED_SITES_DIR = "./cloned_sites";
+
+// Every :siteId is checked before a route resolves a path with it
+router.param("siteId", checkSiteIdParam);
+
+// Submissions listed or exported at once
+const DEFAULT_SUBMISSION_LIMIT = 100;
+const MAX_SUBMISSION_LIMIT = 10000;
+
+// Multipart submissions: fields are stored, uploaded files only described
+const submissionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB per file
+    files: 10,
+    fields: 200,
+  },
+});
+
+function handleSubmissionUpload(req, res, next) {
+  submissionUpload.any()(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next();
+  });
+}
+
+// Check the site and form IDs of a request; responds and returns false when
+// they are invalid or the site does not exist
+async function checkSiteRequest(req, res) {
+  if (!(await readRequestedSite(req, res))) return false;
+
+  const { formId } = req.params;
+  if (formId !== undefined && !FORM_ID_PATTERN.test(formId)) {
+    res.status(400).json({ success: false, error: "Invalid form ID" });
+    return false;
+  }
+  return true;
+}
+
+// Where a browser goes after submitting a form without a redirect URL: back
+// to the page it was on, as served by the Referer when that is the form's page
+// on this host, otherwise the page under /site/<siteId>/. Only paths are
+// returned, so the endpoint never redirects to another host.
+function getFormPagePath(req, siteId, form) {
+  const servedPath = form.page.replace(/(^|\/)index\.html$/, "$1");
+
+  try {
+    const referer = new URL(req.get("referer"));
+    const refererPath = decodeURIComponent(referer.pathname);
+    if (
+      referer.host === req.get("host") &&
+      [form.page, servedPath].some((page) => refererPath.endsWith(`/${page}`))
+    ) {
+      // A leading "//" would be read as another host
+      return `/${referer.pathname.replace(/^\/+/, "")}${referer.search}`;
+    }
+  } catch (error) {
+    // No or malformed Referer
+  }
+
+  const prefix = req.get("x-site-slug") ? "/" : `/site/${siteId}/`;
+  return prefix + servedPath;
+}
+
+// Detect the forms on every page of a site, giving new ones an id, and
+// record them with their settings in metadata.json
+async function scanSiteForms(siteId) {
+  const siteDir = path.join(CLONED_SITES_DIR, siteId);
+  const metadataPath = path.join(siteDir, "metadata.json");
+  const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  const pages = metadata.pages || [
+    { url: metadata.originalUrl, path: "index.html" },
+  ];
+
+  const detected = [];
+  for (const page of pages) {
+    const filePath = path.join(siteDir, page.path);
+    let html;
+    try {
+      html = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      continue;
+    }
+
+    const $ = cheerio.load(html);
+    const newForms = $("form:not([data-form-id])").length;
+    detected.push(
+      ...detectForms($, page.url || metadata.originalUrl, page.path)
+    );
+    if (newForms > 0) {
+      await fs.writeFile(filePath, $.html());
+    }
+  }
+
+  await moveFormWebhooks(siteId, metadata.forms);
+  metadata.forms = mergeFormSettings(detected, metadata.forms);
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+  return metadata;
+}
+
+// List the forms of a site with their settings and submission counts
+router.get("/api/sites/:siteId/forms", async (req, res) => {
+  if (!(await checkSiteRequest(req, res))) return;
+  const { siteId } = req.params;
+
+  try {
+    const metadata = await scanSiteForms(siteId);
+    const webhooks = await readFormWebhooks(siteId);
+    const forms = await Promise.all(
+      metadata.forms.map(async (form) => {
+        let submissions = null;
+        try {
+          submissions = await FormSubmission.countDocuments({
+            siteId,
+            formId: form.id,
+          });
+        } catch (error) {
+          console.warn("Could not count form submissions:", error.message);
+        }
+        return {
+          ...form,
+          webhookUrl: webhooks[form.id] || null,
+          submitPath: getSubmitPath(siteId, form.id),
+          submissions,
+        };
+      })
+    );
+
+    res.json({ success: true, siteId, forms });
+  } catch (error) {
+    console.error("Form listing error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Turn capture on or off for a form and set its webhook and redirect URLs.
+// Captured forms post to the submission endpoint below instead of their
+// original action.
+router.post("/api/sites/:siteId/forms/:formId/settings", async (req, res) => {
+  if (!(await checkSiteRequest(req, res))) return;
+  const { siteId, formId } = req.params;
+
+  try {
+    const metadata = await scanSiteForms(siteId);
+    const form = metadata.forms.find((item) => item.id === formId);
+    if (!form) {
+      return res.status(404).json({ success: false, error: "Form not found" });
+    }
+
+    const webhooks = await readFormWebhooks(siteId);
+    let settings;
+    try {
+      settings = normalizeFormSettings(req.body, {
+        ...form,
+        webhookUrl: webhooks[formId] || null,
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const siteDir = path.join(CLONED_SITES_DIR, siteId);
+    await recordInitialVersion(siteDir);
+
+    const pagePath = path.join(siteDir, form.page);
+    const $ = cheerio.load(await fs.readFile(pagePath, "utf8"));
+    if (settings.capture) {
+      rerouteForm($, formId, getSubmitPath(siteId, formId));
+    } else {
+      restoreForm($, formId);
+    }
+    await fs.writeFile(pagePath, $.html());
+
+    const { webhookUrl, ...formSettings } = settings;
+    if (webhookUrl) webhooks[formId] = webhookUrl;
+    else delete webhooks[formId];
+    await writeFormWebhooks(siteId, webhooks);
+
+    Object.assign(form, formSettings);
+    await fs.writeFile(
+      path.join(siteDir, "metadata.json"),
+      JSON.stringify(metadata, null, 2)
+    );
+    await createVersion(siteDir, {
+      author: req.get("X-Editor-Author"),
+      summary: `Turned capture ${settings.capture ? "on" : "off"} for form ${formId}`,
+    });
+
+    console.log(
+      `📝 Form ${formId} of ${siteId}: capture ${settings.capture ? "on" : "off"}`
+    );
+    res.json({
+      success: true,
+      siteId,
+      form: {
+        ...form,
+        webhookUrl,
+        submitPath: getSubmitPath(siteId, formId),
+      },
+    });
+  } catch (error) {
+    console.error("Form settings error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Receive a submission of a captured form. Browsers posting the form are
+// redirected (to the form's redirect URL or back to the page); scripts
+// asking for JSON get a JSON response.
+router.post(
+  "/api/sites/:siteId/forms/:formId",
+  handleSubmissionUpload,
+  async (req, res) => {
+    if (!(await checkSiteRequest(req, res))) return;
+    const { siteId, formId } = req.params;
+
+    try {
+      const metadata = JSON.parse(
+        await fs.readFile(
+          path.join(CLONED_SITES_DIR, siteId, "metadata.json"),
+          "utf8"
+        )
+      );
+      const form = (metadata.forms || []).find((item) => item.id === formId);
+      if (!form || !form.capture) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Form not found" });
+      }
+
+      const submission = await FormSubmission.create({
+        siteId,
+        formId,
+        page: form.page,
+        data: req.body || {},
+        files: (req.files || []).map((file) => ({
+          field: file.fieldname,
+          name: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+        })),
+        ip: req.ip,
+        userAgent: req.get("user-agent") || null,
+        referer: req.get("referer") || null,
+      });
+      console.log(`📝 New submission of form ${formId} on ${siteId}`);
+
+      // Forward in the background so visitors do not wait on the webhook
+      const webhookUrl = (await readFormWebhooks(siteId))[formId];
+      if (webhookUrl) {
+        forwardSubmission(webhookUrl, submission)
+          .then((webhook) =>
+            FormSubmission.updateOne({ _id: submission._id }, { webhook })
+          )
+          .catch((error) =>
+            console.warn("Could not record webhook result:", error.message)
+          );
+      }
+
+      if (req.xhr || req.accepts(["html", "json"]) === "json") {
+        return res.json({ success: true, id: submission._id });
+      }
+      res.redirect(303, form.redirectUrl || getFormPagePath(req, siteId, form));
+    } catch (error) {
+      console.error("Form submission error:", error);
+      res
+        .status(500)
+        .json({ success: false, error: "Failed to store submission" });
+    }
+  }
+);
+
+// List the submissions of a form, newest first (?limit=, ?format=csv)
+router.get("/api/sites/:siteId/forms/:formId/submissions", async (req, res) => {
+  if (!(await checkSiteRequest(req, res))) return;
+  const { siteId, formId } = req.params;
+  const { format } = req.query;
+
+  // Exports include every submission unless a limit is given
+  const requestedLimit = parseInt(req.query.limit);
+  let limit =
+    format === "csv" ? MAX_SUBMISSION_LIMIT : DEFAULT_SUBMISSION_LIMIT;
+  if (!isNaN(requestedLimit) && requestedLimit > 0) {
+    limit = Math.min(requestedLimit, MAX_SUBMISSION_LIMIT);
+  }
+
+  try {
+    const submissions = await FormSubmission.findForForm(siteId, formId, limit);
+
+    if (format === "csv") {
+      const metadata = JSON.parse(
+        await fs.readFile(
+          path.join(CLONED_SITES_DIR, siteId, "metadata.json"),
+          "utf8"
+        )
+      );
+      const form = (metadata.forms || []).find((item) => item.id === formId);
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${siteId}-${formId}-submissions.csv"`
+      );
+      return res.send(
+        formatSubmissionsCsv(submissions, form ? form.fields : [])
+      );
+    }
+
+    res.json({ success: true, siteId, formId, submissions });
+  } catch (error) {
+    console.error("Form submissions error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
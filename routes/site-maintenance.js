@@ -0,0 +1,193 @@
+const express = require("express");
+const path = require("path");
+const { DEVICE_PRESETS } = require("../services/fetch-strategies");
+const { UPLOAD_BASE_URL } = require("../services/site-upload");
+const { checkSiteIdParam, readRequestedSite } = require("./site-request");
+
+/**
+ * Routes maintaining a cloned site against its original: refresh, tracker
+ * stripping, asset health and retries, and visual comparison
+ * @param {Object} deps - { cloner: WebsiteCloner, cloneJobs: CloneJobService,
+ *   compareSiteVisually: (siteId, options) => Promise<Object>,
+ *   getComparisonsDir: (siteId) => string }
+ * @returns {express.Router}
+ */
+function createSiteMaintenanceRoutes({
+  cloner,
+  cloneJobs,
+  compareSiteVisually,
+  getComparisonsDir,
+}) {
+  const router = express.Router();
+  router.param("siteId", checkSiteIdParam);
+
+  // Re-fetch a cloned site from its original URL, keeping the edits made to it.
+  // Refreshes are queued as jobs like clones; wait: true blocks until done.
+  router.post("/api/sites/:siteId/refresh", async (req, res) => {
+    const { siteId } = req.params;
+    const { options, wait } = req.body;
+
+    const metadata = await readRequestedSite(req, res);
+    if (!metadata) return;
+
+    if (metadata.originalUrl === UPLOAD_BASE_URL) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "This site was uploaded without a source URL and cannot be refreshed",
+      });
+    }
+    try {
+      cloner.getBrowserOptions(
+        { ...metadata.browserOptions, ...options },
+        metadata.originalUrl
+      );
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (wait) {
+      try {
+        console.log(`🔄 Refreshing site ${siteId}`);
+        const result = await cloner.refreshSite(siteId, options);
+        console.log(
+          `🔄 Refreshed ${siteId}: ${result.editsApplied} edits re-applied, ${result.editsFailed.length} failed`
+        );
+        return res.json(result);
+      } catch (error) {
+        console.error("Site refresh error:", error);
+        return res.status(500).json({ success: false, error: error.message });
+      }
+    }
+
+    const job = cloneJobs.createJob({
+      type: "refresh",
+      siteId,
+      url: metadata.originalUrl,
+      name: metadata.siteName,
+      options: { browser: options },
+    });
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/clone-jobs/${job.id}`,
+      eventsUrl: `/clone-jobs/${job.id}/events`,
+    });
+  });
+
+  // Remove analytics, ad and chat-widget tags from an existing site
+  router.post("/api/sites/:siteId/strip-trackers", async (req, res) => {
+    const { siteId } = req.params;
+
+    if (!(await readRequestedSite(req, res))) return;
+
+    try {
+      const removed = await cloner.stripSiteTrackers(siteId);
+      console.log(`🧹 Stripped ${removed.length} tracker tags from ${siteId}`);
+      res.json({ success: true, siteId, removed });
+    } catch (error) {
+      console.error("Tracker stripping error:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Report failed, missing and skipped assets of a cloned site
+  router.get("/api/sites/:siteId/health", async (req, res) => {
+    const { siteId } = req.params;
+
+    if (!(await readRequestedSite(req, res))) return;
+
+    try {
+      const health = await cloner.getSiteHealth(siteId);
+      res.json({ success: true, ...health });
+    } catch (error) {
+      console.error("Site health error:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Re-download the assets a clone failed to fetch and repair the references
+  router.post("/api/sites/:siteId/assets/retry", async (req, res) => {
+    const { siteId } = req.params;
+
+    if (!(await readRequestedSite(req, res))) return;
+
+    try {
+      console.log(`🩹 Retrying failed assets of ${siteId}`);
+      const result = await cloner.retryFailedAssets(siteId, req.body.options);
+      console.log(
+        `🩹 Repaired ${result.repaired.length} assets of ${siteId}, ${result.failed.length} still failing`
+      );
+      res.json({ success: true, siteId, ...result });
+    } catch (error) {
+      console.error("Asset retry error:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Screenshot a page of a site and its original at the same viewports and
+  // store the pixel diff with the site
+  router.post("/api/sites/:siteId/compare", async (req, res) => {
+    const { siteId } = req.params;
+    const { page, devices, threshold, maxDiffPercentage } = req.body;
+
+    if (!(await readRequestedSite(req, res))) return;
+
+    const deviceList = devices === undefined ? ["desktop"] : devices;
+    if (
+      !Array.isArray(deviceList) ||
+      deviceList.length === 0 ||
+      deviceList.some((device) => !DEVICE_PRESETS[device])
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `devices must list one or more of ${Object.keys(
+          DEVICE_PRESETS
+        ).join(", ")}`,
+      });
+    }
+
+    try {
+      console.log(`🔍 Comparing ${siteId} with its original`);
+      const report = await compareSiteVisually(siteId, {
+        page,
+        devices: deviceList,
+        threshold,
+        maxDiffPercentage,
+      });
+      console.log(
+        `🔍 ${siteId} differs from its original by ${report.diffPercentage}%`
+      );
+      res.json({ success: true, siteId, ...report });
+    } catch (error) {
+      console.error("Visual comparison error:", error);
+      res
+        .status(error.statusCode || 500)
+        .json({ success: false, error: error.message });
+    }
+  });
+
+  // Screenshots and diff images of a site's latest comparisons, kept out of
+  // the served site folder
+  router.get("/api/sites/:siteId/comparisons/:file", (req, res) => {
+    const { siteId, file } = req.params;
+    if (!/^[\w-]+\.png$/.test(file)) {
+      return res.status(400).json({ success: false, error: "Invalid file" });
+    }
+
+    res.sendFile(
+      file,
+      { root: path.resolve(getComparisonsDir(siteId)) },
+      (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ success: false, error: "Image not found" });
+        }
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = createSiteMaintenanceRoutes;
@@ -0,0 +1,49 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const CLONED_SITES_DIR = "./cloned_sites";
+
+// Site IDs name a folder directly inside cloned_sites: "", "." and ".." or
+// IDs containing a path separator would resolve elsewhere
+function isValidSiteId(siteId) {
+  return (
+    typeof siteId === "string" &&
+    siteId !== "" &&
+    siteId !== "." &&
+    siteId !== ".." &&
+    !/[\\/]/.test(siteId)
+  );
+}
+
+// Router param handler rejecting invalid site IDs before any route of the
+// router resolves a path with them
+function checkSiteIdParam(req, res, next, siteId) {
+  if (!isValidSiteId(siteId)) {
+    return res.status(400).json({ success: false, error: "Invalid site ID" });
+  }
+  next();
+}
+
+// Load the metadata of the site a request is for; responds and returns null
+// when the site ID is invalid or the site does not exist
+async function readRequestedSite(req, res) {
+  const { siteId } = req.params;
+  if (!isValidSiteId(siteId)) {
+    res.status(400).json({ success: false, error: "Invalid site ID" });
+    return null;
+  }
+
+  try {
+    const metadataPath = path.join(CLONED_SITES_DIR, siteId, "metadata.json");
+    return JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  } catch (error) {
+    res.status(404).json({ success: false, error: "Site not found" });
+    return null;
+  }
+}
+
+module.exports = {
+  isValidSiteId,
+  checkSiteIdParam,
+  readRequestedSite,
+};
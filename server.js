@@ -1,13 +1,13 @@
 require("dotenv").config();
 
 const express = require("express");
-const { chromium } = require("playwright");
 const axios = require("axios");
 const cheerio = require("cheerio");
 const fs = require("fs").promises;
 const path = require("path");
 const url = require("url");
 const crypto = require("crypto");
+const os = require("os");
 const multer = require("multer");
 const mongoose = require("mongoose");
 
@@ -20,6 +20,49 @@ const { GoogleDriveService } = require("./services/google-drive-service");
 const Domain = require("./models/Domain");
 const CronService = require("./services/cron-service");
 
+// Import clone job queue
+const CloneJobService = require("./services/clone-job-service");
+const {
+  applyRecordedEdits,
+  diffPageText,
+} = require("./services/site-edit-service");
+const { injectAnalytics } = require("./services/site-analytics");
+const {
+  DEVICE_PRESETS,
+  PlaywrightFetchStrategy,
+  AxiosFetchStrategy,
+  HtmlFetchStrategy,
+} = require("./services/fetch-strategies");
+const { UPLOAD_BASE_URL, readUploadedSite } = require("./services/site-upload");
+const {
+  getSubmitPath,
+  detectForms,
+  mergeFormSettings,
+  moveFormWebhooks,
+  rerouteForm,
+} = require("./services/form-capture");
+const { normalizeLinkRules, applyLinkRules } = require("./services/link-rules");
+const {
+  assignElementIds,
+  stripEditorAttributes,
+} = require("./services/element-ids");
+const { getSiteDataDir } = require("./services/site-data");
+const {
+  createVersion,
+  recordInitialVersion,
+  updateSiteMetadata,
+} = require("./services/site-versions");
+const {
+  DEFAULT_PIXEL_THRESHOLD,
+  DEFAULT_MAX_DIFF_PERCENTAGE,
+  compareVisually,
+} = require("./services/visual-compare");
+const {
+  DEFAULT_FETCH_OPTIONS,
+  FetchScheduler,
+} = require("./services/fetch-scheduler");
+const { isValidSiteId } = require("./routes/site-request");
+
 const app = express();
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
@@ -67,6 +110,59 @@ const upload = multer({
   },
 });
 
+// Uploaded sites (HTML, ZIP or MHTML) are written to a temporary folder and
+// only read into memory once the whole request is within
+// MAX_SITE_UPLOAD_SIZE; folder paths are kept so "Webpage, Complete" saves
+// resolve their page_files/ references
+const MAX_SITE_UPLOAD_SIZE = 100 * 1024 * 1024; // 100MB per request
+const siteUpload = multer({
+  dest: path.join(os.tmpdir(), "site-replicator-uploads"),
+  preservePath: true,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 1000,
+  },
+});
+
+// Report upload errors (e.g. file too large) as JSON and hand the route the
+// uploaded files as buffers
+function handleSiteUpload(req, res, next) {
+  const sizeError = `Uploads are limited to ${
+    MAX_SITE_UPLOAD_SIZE / 1024 / 1024
+  }MB in total`;
+  if (parseInt(req.get("content-length")) > MAX_SITE_UPLOAD_SIZE) {
+    return res.status(413).json({ error: sizeError });
+  }
+
+  siteUpload.array("files")(req, res, async (error) => {
+    const files = req.files || [];
+    let failure = null;
+    try {
+      if (error) {
+        failure = { status: 400, error: error.message };
+      } else if (
+        files.reduce((total, file) => total + file.size, 0) >
+        MAX_SITE_UPLOAD_SIZE
+      ) {
+        failure = { status: 413, error: sizeError };
+      } else {
+        for (const file of files) {
+          file.buffer = await fs.readFile(file.path);
+        }
+      }
+    } catch (readError) {
+      failure = { status: 500, error: readError.message };
+    } finally {
+      await Promise.all(files.map((file) => fs.rm(file.path, { force: true })));
+    }
+
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+    next();
+  });
+}
+
 // Initialize Google Drive service
 const driveService = new GoogleDriveService();
 
@@ -116,9 +212,361 @@ async function initializeServices() {
   }
 }
 
+// Defaults used when POST /clone-website is asked to crawl without limits
+const DEFAULT_CRAWL_OPTIONS = { maxDepth: 2, maxPages: 20 };
+
+// How long a clone may run: CLONE_TIMEOUT for the landing page plus
+// CRAWL_PAGE_TIMEOUT for every further page a crawl may save
+const CLONE_TIMEOUT = 2 * 60 * 1000;
+const CRAWL_PAGE_TIMEOUT = 30 * 1000;
+
+// Links to these files are downloads rather than pages and are never crawled
+const NON_PAGE_EXTENSIONS =
+  /\.(jpe?g|png|gif|webp|svg|ico|bmp|pdf|zip|rar|gz|mp3|mp4|webm|mov|avi|css|js|json|xml|txt|docx?|xlsx?|pptx?|woff2?|ttf|eot|otf)$/i;
+
+// url(...) references and string-form @import rules inside stylesheets
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(['"])(.*?)\1/gi;
+
+// Lazy-load attributes holding the real URL of an image or video. Only media
+// elements are localized, so e.g. lazy iframes keep loading their page.
+const LAZY_URL_ATTRIBUTES = [
+  "data-src",
+  "data-lazy",
+  "data-lazy-src",
+  "data-original",
+  "nitro-lazy-src",
+];
+const LAZY_MEDIA_ELEMENTS = ["img", "source", "video"];
+
+// Single-URL attributes localized in addition to stylesheets, scripts and img[src]
+const ASSET_URL_ATTRIBUTES = [
+  ["source[src]", "src"],
+  ["video[poster]", "poster"],
+  ...LAZY_URL_ATTRIBUTES.map((attribute) => [
+    LAZY_MEDIA_ELEMENTS.map((tag) => `${tag}[${attribute}]`).join(", "),
+    attribute,
+  ]),
+  ['link[rel*="icon"]', "href"],
+];
+
+// Social preview images are fetched by crawlers that need an absolute URL,
+// so they are made absolute instead of localized
+const SOCIAL_IMAGE_SELECTORS = [
+  'meta[property="og:image"]',
+  'meta[property="og:image:url"]',
+  'meta[property="og:image:secure_url"]',
+  'meta[name="twitter:image"]',
+  'meta[name="twitter:image:src"]',
+];
+
+// Attributes holding srcset-style candidate lists
+const SRCSET_ATTRIBUTES = [
+  "srcset",
+  "data-srcset",
+  "data-lazy-srcset",
+  "nitro-lazy-srcset",
+];
+
+// srcset candidates are separated by commas followed by whitespace or a
+// descriptor, so commas inside URLs (e.g. CDN transforms) are kept
+const SRCSET_SEPARATOR = /(?<=\s\d+(?:\.\d+)?[wx])\s*,\s*|,\s+/;
+
+// Length of the content hash used as asset file name
+const ASSET_HASH_LENGTH = 16;
+
+// Extensions of the asset types saved under the name their content type
+// gives, whatever their URL ends in (e.g. style.php serving text/css)
+const CONTENT_TYPE_EXTENSIONS = {
+  "text/css": ".css",
+  "text/javascript": ".js",
+  "application/javascript": ".js",
+  "application/x-javascript": ".js",
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/svg+xml": ".svg",
+  "image/x-icon": ".ico",
+  "image/vnd.microsoft.icon": ".ico",
+  "font/woff": ".woff",
+  "font/woff2": ".woff2",
+  "font/ttf": ".ttf",
+  "font/otf": ".otf",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+};
+
+// Guards against @import cycles between stylesheets
+const MAX_CSS_IMPORT_DEPTH = 5;
+
+// Upper bound for the delay clone option
+const MAX_RENDER_DELAY = 30000;
+
+// Refreshes keep the pages they replace in the site's private data folder
+// (refresh-backups/<timestamp>/); only the newest backups are kept
+const REFRESH_BACKUPS_DIR = "refresh-backups";
+
+// Screenshots and diff images of visual comparisons, in the site's private
+// data folder
+const COMPARISONS_DIR = "comparisons";
+const MAX_REFRESH_BACKUPS = 5;
+
+// Known analytics, ad and chat-widget vendors. `hosts` match subdomains too
+// and may carry a path prefix; `pattern` recognizes their inline snippets.
+// Requests to analytics and ad hosts are skipped with blockTrackers, requests
+// to chat widgets (category "chat") with blockChatWidgets. stripTrackers
+// removes the tags of both.
+const TRACKERS = [
+  {
+    name: "Google Analytics",
+    hosts: ["google-analytics.com"],
+    pattern: /GoogleAnalyticsObject|google-analytics\.com|\bgtag\s*\(/,
+  },
+  {
+    name: "Google Tag Manager",
+    hosts: ["googletagmanager.com"],
+    pattern: /googletagmanager\.com|gtm\.start/,
+  },
+  {
+    name: "Google Ads",
+    hosts: ["googleadservices.com", "googlesyndication.com", "doubleclick.net"],
+    pattern: /googleadservices\.com|adsbygoogle|doubleclick\.net/,
+  },
+  {
+    name: "Meta Pixel",
+    hosts: ["facebook.net", "facebook.com/tr"],
+    pattern: /\bfbq\s*\(|fbevents\.js/,
+  },
+  {
+    name: "TikTok Pixel",
+    hosts: ["analytics.tiktok.com"],
+    pattern: /\bttq\.(load|page|track)\b|analytics\.tiktok\.com/,
+  },
+  {
+    name: "Hotjar",
+    hosts: ["hotjar.com"],
+    pattern: /_hjSettings|static\.hotjar\.com/,
+  },
+  {
+    name: "Microsoft Clarity",
+    hosts: ["clarity.ms"],
+    pattern: /clarity\.ms/,
+  },
+  {
+    name: "Microsoft Advertising",
+    hosts: ["bat.bing.com"],
+    pattern: /bat\.bing\.com|\buetq\b/,
+  },
+  {
+    name: "LinkedIn Insight",
+    hosts: ["snap.licdn.com", "ads.linkedin.com"],
+    pattern: /_linkedin_partner_id|snap\.licdn\.com/,
+  },
+  {
+    name: "X Pixel",
+    hosts: ["ads-twitter.com", "analytics.twitter.com"],
+    pattern: /\btwq\s*\(|ads-twitter\.com/,
+  },
+  {
+    name: "Pinterest Tag",
+    hosts: ["ct.pinterest.com", "s.pinimg.com/ct"],
+    pattern: /\bpintrk\s*\(/,
+  },
+  {
+    name: "Snap Pixel",
+    hosts: ["tr.snapchat.com", "sc-static.net"],
+    pattern: /\bsnaptr\s*\(/,
+  },
+  {
+    name: "Segment",
+    hosts: ["segment.com", "segment.io"],
+    pattern: /cdn\.segment\.(com|io)/,
+  },
+  {
+    name: "Mixpanel",
+    hosts: ["mixpanel.com", "mxpnl.com"],
+    pattern: /mixpanel\.(init|track)\b|mxpnl\.com/,
+  },
+  {
+    name: "Amplitude",
+    hosts: ["amplitude.com"],
+    pattern: /amplitude\.(getInstance|init)\b|cdn\.amplitude\.com/,
+  },
+  {
+    name: "FullStory",
+    hosts: ["fullstory.com"],
+    pattern: /_fs_org|fullstory\.com/,
+  },
+  {
+    name: "Ad networks",
+    hosts: [
+      "quantserve.com",
+      "scorecardresearch.com",
+      "criteo.com",
+      "criteo.net",
+      "taboola.com",
+      "outbrain.com",
+      "adroll.com",
+    ],
+    pattern:
+      /quantserve\.com|scorecardresearch\.com|criteo\.(com|net)|taboola\.com|outbrain\.com|adroll\.com/,
+  },
+  {
+    name: "HubSpot",
+    hosts: ["hs-scripts.com", "hs-analytics.net"],
+    pattern: /hs-scripts\.com|\b_hsq\b/,
+  },
+  {
+    name: "Intercom",
+    category: "chat",
+    hosts: ["intercom.io", "intercomcdn.com"],
+    pattern: /intercomSettings|widget\.intercom\.io/,
+  },
+  {
+    name: "Drift",
+    category: "chat",
+    hosts: ["drift.com", "driftt.com"],
+    pattern: /js\.driftt\.com|\bdrift\.load\s*\(/,
+  },
+  {
+    name: "Crisp",
+    category: "chat",
+    hosts: ["crisp.chat"],
+    pattern: /CRISP_WEBSITE_ID|\$crisp/,
+  },
+  {
+    name: "Tawk.to",
+    category: "chat",
+    hosts: ["tawk.to"],
+    pattern: /Tawk_API/,
+  },
+  {
+    name: "Zendesk Chat",
+    category: "chat",
+    hosts: ["zdassets.com", "zopim.com"],
+    pattern: /zdassets\.com|\$zopim/,
+  },
+  {
+    name: "LiveChat",
+    category: "chat",
+    hosts: ["livechatinc.com"],
+    pattern: /__lc\.license|livechatinc\.com/,
+  },
+  {
+    name: "Tidio",
+    category: "chat",
+    hosts: ["tidio.co"],
+    pattern: /code\.tidio\.co/,
+  },
+];
+
+// Script types that hold executable JavaScript
+const JAVASCRIPT_TYPES = [
+  "",
+  "text/javascript",
+  "application/javascript",
+  "module",
+];
+
 class WebsiteCloner {
-  constructor() {
-    this.outputDir = "./cloned_sites";
+  constructor(outputDir = "./cloned_sites") {
+    this.outputDir = outputDir;
+    // State of running clones, keyed by site folder:
+    // { onProgress, browserOptions, scheduler, responses: Map<url, {body, contentType}>,
+    //   localPaths: Map<url, path>, downloads: Map<url, Promise>, hashes: Map<hash, path>,
+    //   manifest: Map<url, entry>, stylesheetsInProgress: Set<url>,
+    //   strippedTrackers: Array | null, skippedAssets: Array, skippedPages: Array,
+    //   failedAssets: Map<url, entry>, allowScripts: Array | null,
+    //   frozenScripts: Array | null, forms: Array }
+    this.cloneSessions = new Map();
+    this.cloneStages = this.createCloneStages();
+  }
+
+  // Register per-clone state used while assets are downloaded into siteDir
+  startCloneSession(
+    siteDir,
+    {
+      onProgress,
+      browserOptions,
+      scheduler,
+      responses,
+      stripTrackers,
+      staticSnapshot,
+      signal,
+    } = {}
+  ) {
+    this.cloneSessions.set(siteDir, {
+      onProgress: onProgress || null,
+      signal: signal || null,
+      browserOptions: browserOptions || null,
+      scheduler: scheduler || new FetchScheduler(),
+      responses: responses || new Map(),
+      localPaths: new Map(),
+      downloads: new Map(),
+      hashes: new Map(),
+      manifest: new Map(),
+      stylesheetsInProgress: new Set(),
+      strippedTrackers: stripTrackers ? [] : null,
+      skippedAssets: [],
+      skippedPages: [],
+      failedAssets: new Map(),
+      allowScripts: staticSnapshot ? staticSnapshot.allowScripts : null,
+      frozenScripts: staticSnapshot ? [] : null,
+      forms: [],
+    });
+  }
+
+  // Note an asset that was deliberately not downloaded (once per URL)
+  recordSkippedAsset(siteDir, assetUrl, reason) {
+    const session = this.cloneSessions.get(siteDir);
+    if (
+      !session ||
+      session.skippedAssets.some((asset) => asset.url === assetUrl)
+    ) {
+      return;
+    }
+
+    session.skippedAssets.push({ url: assetUrl, reason });
+    this.reportProgress(siteDir, { type: "asset-skipped", url: assetUrl });
+  }
+
+  // Note an asset that could not be downloaded (network error or non-2xx
+  // response) so the clone's health can be reported and the download retried
+  recordFailedAsset(siteDir, assetUrl, error) {
+    const session = this.cloneSessions.get(siteDir);
+    if (!session || session.failedAssets.has(assetUrl)) return;
+
+    session.failedAssets.set(assetUrl, {
+      url: assetUrl,
+      status: error.response ? error.response.status : null,
+      error: error.message,
+      failedAt: new Date().toISOString(),
+    });
+    this.reportProgress(siteDir, {
+      type: "asset",
+      url: assetUrl,
+      success: false,
+    });
+  }
+
+  // Asset manifest of a running clone, as recorded in metadata.json
+  getAssetManifest(siteDir) {
+    const session = this.cloneSessions.get(siteDir);
+    return session ? [...session.manifest.values()] : [];
+  }
+
+  // Forward a progress event to the onProgress callback registered for a site folder
+  reportProgress(siteDir, event) {
+    const session = this.cloneSessions.get(siteDir);
+    if (!session || !session.onProgress) return;
+
+    try {
+      session.onProgress(event);
+    } catch (error) {
+      console.warn("Progress callback failed:", error.message);
+    }
   }
 
   async ensureDirectoryExists(dirPath) {
@@ -129,423 +577,1832 @@ class WebsiteCloner {
     }
   }
 
-  async downloadAsset(assetUrl, baseUrl, outputDir) {
+  async downloadAsset(assetUrl, baseUrl, outputDir, cssDepth = 0) {
+    let absoluteUrl = null;
     try {
-      const absoluteUrl = new URL(assetUrl, baseUrl).href;
-      const response = await axios.get(absoluteUrl, {
+      absoluteUrl = new URL(assetUrl, baseUrl).href;
+      const session = this.cloneSessions.get(outputDir);
+
+      // Aborted clones download nothing more
+      if (session && session.signal && session.signal.aborted) {
+        return assetUrl;
+      }
+
+      // Each URL is saved once per clone
+      if (session && session.localPaths.has(absoluteUrl)) {
+        return session.localPaths.get(absoluteUrl);
+      }
+
+      // Uploads without a source URL resolve against a base that never
+      // loads, so references missing from the upload are left as written
+      if (
+        absoluteUrl.startsWith(UPLOAD_BASE_URL) &&
+        !(session && session.responses.has(absoluteUrl))
+      ) {
+        this.recordSkippedAsset(outputDir, absoluteUrl, "not in upload");
+        return assetUrl;
+      }
+
+      // A stylesheet importing one that is still being rewritten is an
+      // @import cycle; keep pointing at the original URL
+      if (session && session.stylesheetsInProgress.has(absoluteUrl)) {
+        return absoluteUrl;
+      }
+
+      // Concurrent references to one URL share a single download
+      if (session && session.downloads.has(absoluteUrl)) {
+        return await session.downloads.get(absoluteUrl);
+      }
+      const download = this.fetchAsset(absoluteUrl, outputDir, cssDepth);
+      if (session) session.downloads.set(absoluteUrl, download);
+      return await download;
+    } catch (error) {
+      console.warn(`Failed to download asset ${assetUrl}:`, error.message);
+      if (!absoluteUrl) return assetUrl;
+
+      // Keep loading the asset from its server until a retry repairs it
+      this.recordFailedAsset(outputDir, absoluteUrl, error);
+      return absoluteUrl;
+    }
+  }
+
+  // Save an asset from the captured responses or, through the clone's fetch
+  // scheduler, from the network. Returns the absolute URL for skipped assets.
+  async fetchAsset(absoluteUrl, outputDir, cssDepth) {
+    const session = this.cloneSessions.get(outputDir);
+
+    // Prefer the bytes the browser already received over a second request
+    const captured = session && session.responses.get(absoluteUrl);
+    if (captured) {
+      return await this.saveAsset(
+        absoluteUrl,
+        captured.body,
+        captured.contentType,
+        outputDir,
+        cssDepth
+      );
+    }
+
+    const browserOptions = session && session.browserOptions;
+    const blockedReason =
+      browserOptions && this.getBlockedReason(absoluteUrl, browserOptions);
+    if (blockedReason) {
+      this.recordSkippedAsset(outputDir, absoluteUrl, blockedReason);
+      return absoluteUrl;
+    }
+
+    const scheduler = session ? session.scheduler : new FetchScheduler();
+    if (!(await scheduler.isAllowed(absoluteUrl))) {
+      this.recordSkippedAsset(outputDir, absoluteUrl, "robots.txt");
+      return absoluteUrl;
+    }
+
+    const response = await scheduler.fetch(absoluteUrl, () =>
+      axios.get(absoluteUrl, {
         responseType: "arraybuffer",
         timeout: 30000,
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-        },
+        headers: this.getRequestHeaders(
+          browserOptions || this.getBrowserOptions({}, absoluteUrl),
+          absoluteUrl
+        ),
+        // Error pages (any non-2xx status) are failures, not assets
         maxRedirects: 5,
-        validateStatus: function (status) {
-          return status < 500; // Accept any status code less than 500
-        },
-      });
+      })
+    );
 
-      const parsedUrl = url.parse(assetUrl);
-      let fileName = path.basename(parsedUrl.pathname) || "asset";
-
-      // Ensure we have an extension
-      if (!path.extname(fileName)) {
-        const contentType = response.headers["content-type"];
-        if (contentType.includes("css")) fileName += ".css";
-        else if (contentType.includes("javascript")) fileName += ".js";
-        else if (contentType.includes("image/png")) fileName += ".png";
-        else if (contentType.includes("image/jpeg")) fileName += ".jpg";
-        else if (contentType.includes("image/gif")) fileName += ".gif";
-      }
+    return await this.saveAsset(
+      absoluteUrl,
+      response.data,
+      response.headers["content-type"] || "",
+      outputDir,
+      cssDepth
+    );
+  }
 
-      // Handle long filenames by creating a hash-based name
-      if (fileName.length > 200) {
-        const hash = crypto.createHash("md5").update(assetUrl).digest("hex");
-        const ext = path.extname(fileName) || ".asset";
-        fileName = `asset_${hash}${ext}`;
+  // Write an asset's bytes into the assets folder and return its local path.
+  // Files are named after a hash of their content, so different files sharing
+  // a basename never overwrite each other and identical bytes are stored once.
+  async saveAsset(absoluteUrl, data, contentType, outputDir, cssDepth = 0) {
+    const extension = this.getAssetExtension(absoluteUrl, contentType);
+
+    // Stylesheets are rewritten so their url()/@import references are local too.
+    // They live in assets/ themselves, so references are relative to that folder.
+    const session = this.cloneSessions.get(outputDir);
+    if (extension === ".css" || contentType.includes("text/css")) {
+      if (session) session.stylesheetsInProgress.add(absoluteUrl);
+      try {
+        data = await this.localizeCss(
+          Buffer.from(data).toString("utf8"),
+          absoluteUrl,
+          outputDir,
+          "",
+          cssDepth + 1
+        );
+      } finally {
+        if (session) session.stylesheetsInProgress.delete(absoluteUrl);
       }
+    }
+
+    const buffer = Buffer.from(data);
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
 
+    let localPath = session && session.hashes.get(hash);
+    if (!localPath) {
+      const fileName = `${hash.substring(0, ASSET_HASH_LENGTH)}${extension}`;
       const filePath = path.join(outputDir, "assets", fileName);
       await this.ensureDirectoryExists(path.dirname(filePath));
-      await fs.writeFile(filePath, response.data);
+      await fs.writeFile(filePath, buffer);
+      localPath = `./assets/${fileName}`;
+    }
 
-      return `./assets/${fileName}`;
+    if (session) {
+      session.hashes.set(hash, localPath);
+      session.localPaths.set(absoluteUrl, localPath);
+      session.manifest.set(absoluteUrl, {
+        url: absoluteUrl,
+        localPath: localPath,
+        mimeType: contentType.split(";")[0].trim() || null,
+        size: buffer.length,
+        hash: hash,
+      });
+    }
+
+    this.reportProgress(outputDir, {
+      type: "asset",
+      url: absoluteUrl,
+      success: true,
+    });
+    return localPath;
+  }
+
+  // File extension for an asset: the one of its content type when that is a
+  // known type, so the file is served with the right MIME type, otherwise
+  // the one of its URL
+  getAssetExtension(absoluteUrl, contentType) {
+    const mimeType = contentType.split(";")[0].trim().toLowerCase();
+    if (CONTENT_TYPE_EXTENSIONS[mimeType]) {
+      return CONTENT_TYPE_EXTENSIONS[mimeType];
+    }
+
+    const parsedUrl = url.parse(absoluteUrl);
+    const extension = path.extname(parsedUrl.pathname || "").toLowerCase();
+    return /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : "";
+  }
+
+  // Save responses the browser received that the markup never referenced
+  // (e.g. images and fonts requested by scripts), so the clone has every byte
+  async saveCapturedAssets(siteDir) {
+    const session = this.cloneSessions.get(siteDir);
+    if (!session) return;
+
+    for (const [responseUrl, captured] of session.responses) {
+      if (session.localPaths.has(responseUrl)) continue;
+      if (session.strippedTrackers && this.getTracker(responseUrl)) continue;
+
+      try {
+        await this.saveAsset(
+          responseUrl,
+          captured.body,
+          captured.contentType,
+          siteDir
+        );
+      } catch (error) {
+        console.warn(
+          `Failed to save captured asset ${responseUrl}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  // Download every url() and @import reference in a stylesheet (recursively
+  // for imported sheets) and point them at the local copies. assetPrefix is how
+  // the CSS reaches the assets folder: "./assets/" from HTML, "" from assets/.
+  // References that fail to download are made absolute so they keep working,
+  // except those missing from an upload, which are left as written.
+  async localizeCss(
+    css,
+    cssUrl,
+    siteDir,
+    assetPrefix = "./assets/",
+    depth = 0
+  ) {
+    if (depth > MAX_CSS_IMPORT_DEPTH) {
+      console.warn(
+        `Skipping CSS references in ${cssUrl}: import depth exceeded`
+      );
+      return css;
+    }
+
+    const references = new Set();
+    for (const pattern of [CSS_URL_PATTERN, CSS_IMPORT_PATTERN]) {
+      for (const match of css.matchAll(pattern)) {
+        const reference = match[2].trim();
+        if (reference && !/^(data:|#|blob:|about:)/i.test(reference)) {
+          references.add(reference);
+        }
+      }
+    }
+
+    const localPaths = new Map();
+    await Promise.all(
+      [...references].map(async (reference) => {
+        const localPath = await this.downloadAsset(
+          reference,
+          cssUrl,
+          siteDir,
+          depth
+        );
+        localPaths.set(
+          reference,
+          localPath.startsWith("./assets/")
+            ? assetPrefix + localPath.slice("./assets/".length)
+            : localPath
+        );
+      })
+    );
+
+    const replaceReference = (match, quote, reference) => {
+      const localPath = localPaths.get(reference.trim());
+      return localPath ? match.replace(reference, localPath) : match;
+    };
+
+    return css
+      .replace(CSS_URL_PATTERN, replaceReference)
+      .replace(CSS_IMPORT_PATTERN, replaceReference);
+  }
+
+  // Download each candidate of a srcset ("a.jpg 1x, b.jpg 2x") keeping its descriptor
+  async localizeSrcset(srcset, pageUrl, siteDir) {
+    const candidates = srcset
+      .split(SRCSET_SEPARATOR)
+      .map((candidate) => candidate.trim())
+      .filter(Boolean);
+
+    const localized = await Promise.all(
+      candidates.map(async (candidate) => {
+        const [candidateUrl, ...descriptors] = candidate.split(/\s+/);
+        const localPath = candidateUrl.startsWith("data:")
+          ? candidateUrl
+          : await this.downloadAsset(candidateUrl, pageUrl, siteDir);
+        return [localPath, ...descriptors].join(" ");
+      })
+    );
+    return localized.join(", ");
+  }
+
+  // Download every asset a page references and point the page at the local
+  // copies. References are localized concurrently; the clone's fetch
+  // scheduler keeps the requests within its politeness limits.
+  async localizeAssets($, pageUrl, siteDir) {
+    const tasks = [];
+    const localizeAttribute = (elements, attribute, localize) => {
+      elements.each((i, elem) => {
+        const element = $(elem);
+        const value = element.attr(attribute);
+        if (!value) return;
+        tasks.push(
+          localize(value).then((localized) =>
+            element.attr(attribute, localized)
+          )
+        );
+      });
+    };
+    const download = (value) => this.downloadAsset(value, pageUrl, siteDir);
+
+    // Download and replace CSS files
+    localizeAttribute($('link[rel="stylesheet"]'), "href", download);
+
+    // Download and replace JavaScript files
+    localizeAttribute(
+      $("script[src]").filter(
+        (i, elem) => !$(elem).attr("src").startsWith("http")
+      ),
+      "src",
+      download
+    );
+
+    // Download and replace images
+    localizeAttribute($("img[src]"), "src", download);
+
+    // Download picture/video sources, lazy-load targets, posters and icons
+    for (const [selector, attribute] of ASSET_URL_ATTRIBUTES) {
+      localizeAttribute($(selector), attribute, (value) =>
+        value.trim().startsWith("data:") || !value.trim()
+          ? Promise.resolve(value)
+          : download(value.trim())
+      );
+    }
+
+    // Keep social preview images on their original server
+    $(SOCIAL_IMAGE_SELECTORS.join(", ")).each((i, elem) => {
+      const content = ($(elem).attr("content") || "").trim();
+      // Uploads without a source URL have no original server to point at
+      if (!content || pageUrl.startsWith(UPLOAD_BASE_URL)) return;
+      try {
+        $(elem).attr("content", new URL(content, pageUrl).href);
+      } catch (error) {
+        // Leave malformed URLs untouched
+      }
+    });
+
+    // Download every candidate of responsive images
+    for (const attribute of SRCSET_ATTRIBUTES) {
+      localizeAttribute($(`[${attribute}]`), attribute, (srcset) =>
+        this.localizeSrcset(srcset, pageUrl, siteDir)
+      );
+    }
+
+    // Download background images set through style="" attributes
+    localizeAttribute($('[style*="url("]'), "style", (style) =>
+      this.localizeCss(style, pageUrl, siteDir)
+    );
+
+    // Download fonts, backgrounds and imports referenced from inline styles
+    $("style").each((i, elem) => {
+      const style = $(elem);
+      const css = style.html();
+      if (css && /url\(|@import/i.test(css)) {
+        tasks.push(
+          this.localizeCss(css, pageUrl, siteDir).then((localized) =>
+            style.text(localized)
+          )
+        );
+      }
+    });
+
+    await Promise.all(tasks);
+  }
+
+  // Crawl options of a clone. Uploads crawl every uploaded page unless the
+  // request sets `crawl`; the pages are visited as links of the landing page.
+  getCloneCrawlOptions(crawl, fetched) {
+    if (crawl !== undefined || !fetched.pageUrls) {
+      return this.getCrawlOptions(crawl);
+    }
+    if (fetched.pageUrls.length === 0) return null;
+
+    return {
+      maxDepth: 1,
+      maxPages: fetched.pageUrls.length + 1,
+      pageUrls: fetched.pageUrls,
+    };
+  }
+
+  // Normalize the crawl option from the request: `true` uses the defaults,
+  // an object may override maxDepth/maxPages, anything falsy disables crawling
+  getCrawlOptions(crawl) {
+    if (!crawl) return null;
+
+    const requested = typeof crawl === "object" ? crawl : {};
+    const clamp = (value, fallback, max) => {
+      const number = parseInt(value);
+      if (isNaN(number) || number < 0) return fallback;
+      return Math.min(number, max);
+    };
+
+    return {
+      maxDepth: clamp(requested.maxDepth, DEFAULT_CRAWL_OPTIONS.maxDepth, 5),
+      maxPages: Math.max(
+        clamp(requested.maxPages, DEFAULT_CRAWL_OPTIONS.maxPages, 100),
+        1
+      ),
+    };
+  }
+
+  // Normalize the staticSnapshot option of a clone request: `true` freezes
+  // pages without keeping any script, { allowScripts: ["gtag", ...] } keeps
+  // scripts whose src or code contains one of the strings, anything falsy
+  // keeps the pages' scripts
+  getStaticSnapshotOptions(staticSnapshot) {
+    if (!staticSnapshot) return null;
+
+    const requested = typeof staticSnapshot === "object" ? staticSnapshot : {};
+    const allowScripts = Array.isArray(requested.allowScripts)
+      ? requested.allowScripts.map((entry) => String(entry).trim())
+      : [];
+    return { allowScripts: allowScripts.filter(Boolean) };
+  }
+
+  // Normalize the fetch (politeness) options of a clone request, e.g.
+  // { concurrency: 4, rateLimit: 2, retries: 3, respectRobots: true }
+  getFetchOptions(requested) {
+    requested = requested && typeof requested === "object" ? requested : {};
+    const clamp = (value, fallback, min, max) => {
+      const number = Number(value);
+      if (value === undefined || value === null || isNaN(number)) {
+        return fallback;
+      }
+      return Math.min(Math.max(number, min), max);
+    };
+
+    return {
+      concurrency: Math.round(
+        clamp(requested.concurrency, DEFAULT_FETCH_OPTIONS.concurrency, 1, 16)
+      ),
+      rateLimit: clamp(
+        requested.rateLimit,
+        DEFAULT_FETCH_OPTIONS.rateLimit,
+        0,
+        50
+      ),
+      retries: Math.round(
+        clamp(requested.retries, DEFAULT_FETCH_OPTIONS.retries, 0, 5)
+      ),
+      respectRobots:
+        requested.respectRobots !== undefined
+          ? Boolean(requested.respectRobots)
+          : DEFAULT_FETCH_OPTIONS.respectRobots,
+    };
+  }
+
+  // Normalize the browser options of a clone request; throws on invalid values
+  getBrowserOptions(requested, targetUrl) {
+    const options = requested && typeof requested === "object" ? requested : {};
+
+    const device = options.device || "desktop";
+    if (!DEVICE_PRESETS[device]) {
+      throw new Error(
+        `Unknown device "${device}" (expected ${Object.keys(
+          DEVICE_PRESETS
+        ).join(", ")})`
+      );
+    }
+
+    const headers = {};
+    for (const [name, value] of Object.entries(options.headers || {})) {
+      headers[name] = String(value);
+    }
+
+    // Cookies are given as [{ name, value, domain?, path? }] or "a=1; b=2"
+    let cookies = options.cookies || [];
+    if (typeof cookies === "string") {
+      cookies = cookies
+        .split(";")
+        .map((pair) => pair.trim())
+        .filter(Boolean)
+        .map((pair) => {
+          const separator = pair.indexOf("=");
+          if (separator < 1) throw new Error(`Invalid cookie: ${pair}`);
+          return {
+            name: pair.slice(0, separator).trim(),
+            value: pair.slice(separator + 1).trim(),
+          };
+        });
+    }
+    if (!Array.isArray(cookies)) {
+      throw new Error("cookies must be an array or a cookie string");
+    }
+    const hostname = new URL(targetUrl).hostname;
+    cookies = cookies.map((cookie) => {
+      if (!cookie || !cookie.name) throw new Error("Every cookie needs a name");
+      return {
+        name: String(cookie.name),
+        value: String(cookie.value ?? ""),
+        domain: cookie.domain || hostname,
+        path: cookie.path || "/",
+      };
+    });
+
+    const delay = parseInt(options.delay);
+
+    return {
+      device,
+      headers,
+      cookies,
+      waitForSelector: options.waitForSelector
+        ? String(options.waitForSelector)
+        : null,
+      delay:
+        isNaN(delay) || delay < 0 ? null : Math.min(delay, MAX_RENDER_DELAY),
+      scrollToBottom: Boolean(options.scrollToBottom),
+      blockTrackers: Boolean(options.blockTrackers),
+      blockChatWidgets: Boolean(options.blockChatWidgets),
+      flatten: Boolean(options.flatten),
+    };
+  }
+
+  // Browser options as recorded in metadata.json: header and cookie values
+  // are left out since the site folder is publicly served
+  describeBrowserOptions(browserOptions) {
+    return {
+      device: browserOptions.device,
+      headerNames: Object.keys(browserOptions.headers),
+      cookieNames: browserOptions.cookies.map((cookie) => cookie.name),
+      waitForSelector: browserOptions.waitForSelector,
+      delay: browserOptions.delay,
+      scrollToBottom: browserOptions.scrollToBottom,
+      blockTrackers: browserOptions.blockTrackers,
+      blockChatWidgets: browserOptions.blockChatWidgets,
+      flatten: browserOptions.flatten,
+    };
+  }
+
+  // Headers for axios requests made for a clone: the device's user agent,
+  // custom headers and the cookies that apply to the requested host
+  getRequestHeaders(browserOptions, requestUrl) {
+    const headers = {
+      "User-Agent": DEVICE_PRESETS[browserOptions.device].userAgent,
+      ...browserOptions.headers,
+    };
+
+    const hostname = new URL(requestUrl).hostname;
+    const cookies = browserOptions.cookies.filter((cookie) => {
+      const domain = cookie.domain.replace(/^\./, "");
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+    if (cookies.length > 0) {
+      headers.Cookie = cookies
+        .map((cookie) => `${cookie.name}=${cookie.value}`)
+        .join("; ");
+    }
+
+    return headers;
+  }
+
+  // Tracker vendor a resource URL belongs to, or null
+  getTracker(resourceUrl, baseUrl) {
+    let parsed;
+    try {
+      parsed = new URL(resourceUrl, baseUrl);
     } catch (error) {
-      console.warn(`Failed to download asset ${assetUrl}:`, error.message);
-      return assetUrl; // Return original URL if download fails
+      return null;
     }
+    if (!parsed.hostname) return null;
+
+    return (
+      TRACKERS.find((tracker) =>
+        tracker.hosts.some((entry) => {
+          const [host, ...pathParts] = entry.split("/");
+          const pathPrefix = pathParts.length ? `/${pathParts.join("/")}` : "";
+          return (
+            (parsed.hostname === host ||
+              parsed.hostname.endsWith(`.${host}`)) &&
+            parsed.pathname.startsWith(pathPrefix)
+          );
+        })
+      ) || null
+    );
   }
 
-  async cloneWebsite(targetUrl, siteName = "") {
-    console.log(`Starting to clone ${targetUrl} with name ${siteName}`);
+  // Why the browser options skip requests to a resource: "tracker" for
+  // analytics and ad vendors with blockTrackers, "chat-widget" for chat
+  // widgets with blockChatWidgets, or null when it is fetched
+  getBlockedReason(resourceUrl, browserOptions) {
+    const tracker = this.getTracker(resourceUrl);
+    if (!tracker) return null;
+    if (tracker.category === "chat") {
+      return browserOptions.blockChatWidgets ? "chat-widget" : null;
+    }
+    return browserOptions.blockTrackers ? "tracker" : null;
+  }
 
-    // Add global timeout wrapper
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(
-        () => reject(new Error("Operation timed out after 2 minutes")),
-        120000
+  // Remove analytics/ad/chat tags from a page: tracker scripts (by source or
+  // inline snippet), noscript pixels, iframes, images and resource hints.
+  // Returns what was removed.
+  stripTrackers($, pageUrl) {
+    const removed = [];
+    const remove = (elem, type, tracker, detail) => {
+      removed.push({ type, vendor: tracker.name, ...detail });
+      $(elem).remove();
+    };
+    const snippet = (text) =>
+      text.replace(/\s+/g, " ").trim().substring(0, 120);
+
+    $("script").each((i, elem) => {
+      const $script = $(elem);
+      const src = $script.attr("src");
+      if (src) {
+        const tracker = this.getTracker(src, pageUrl);
+        if (tracker) remove(elem, "script", tracker, { src });
+        return;
+      }
+
+      const type = ($script.attr("type") || "").toLowerCase();
+      if (!JAVASCRIPT_TYPES.includes(type)) return;
+      const code = $script.html() || "";
+      const tracker = TRACKERS.find((candidate) =>
+        candidate.pattern.test(code)
       );
+      if (tracker) {
+        remove(elem, "inline-script", tracker, { snippet: snippet(code) });
+      }
+    });
+
+    // <noscript> content is kept as text, so look for tracker URLs in it
+    $("noscript").each((i, elem) => {
+      const content = $(elem).html() || "";
+      const urlPattern = /(?:src|href)\s*=\s*["']([^"']+)["']/gi;
+      let match;
+      while ((match = urlPattern.exec(content)) !== null) {
+        const src = match[1].replace(/&amp;/g, "&");
+        const tracker = this.getTracker(src, pageUrl);
+        if (tracker) {
+          remove(elem, "noscript", tracker, { src });
+          break;
+        }
+      }
     });
 
+    const resourceTags = [
+      ["iframe[src]", "src", "iframe"],
+      ["img[src]", "src", "pixel"],
+      ["link[href]", "href", "link"],
+    ];
+    for (const [selector, attribute, type] of resourceTags) {
+      $(selector).each((i, elem) => {
+        const src = $(elem).attr(attribute);
+        const tracker = this.getTracker(src, pageUrl);
+        if (tracker) remove(elem, type, tracker, { src });
+      });
+    }
+
+    return removed;
+  }
+
+  // Prepare a page being cloned: show flattened canvases as their snapshots,
+  // give its elements and forms ids, then strip trackers and freeze it into
+  // static HTML when the clone asked for it
+  sanitizePage($, pageUrl, pagePath, siteDir) {
+    this.replaceCanvasSnapshots($);
+    assignElementIds($);
+
+    const session = this.cloneSessions.get(siteDir);
+    if (!session) return;
+
+    session.forms.push(...detectForms($, pageUrl, pagePath));
+
+    if (session.strippedTrackers) {
+      for (const item of this.stripTrackers($, pageUrl)) {
+        session.strippedTrackers.push({ page: pagePath, ...item });
+      }
+    }
+    if (session.frozenScripts) {
+      for (const item of this.freezePage($, session.allowScripts)) {
+        session.frozenScripts.push({ page: pagePath, ...item });
+      }
+    }
+  }
+
+  // Turn a rendered page into static HTML that nothing re-renders at runtime:
+  // remove every script (framework bundles, hydration data such as
+  // __NEXT_DATA__, inline bootstraps) and script preload unless its src or
+  // code contains an allowScripts entry. Structured data (ld+json) is kept.
+  // Returns what was removed.
+  freezePage($, allowScripts) {
+    const removed = [];
+    const isAllowed = (text) =>
+      allowScripts.some((entry) => text.includes(entry));
+
+    $("script").each((i, elem) => {
+      const script = $(elem);
+      const type = (script.attr("type") || "").trim().toLowerCase();
+      if (type === "application/ld+json") return;
+
+      const src = script.attr("src");
+      if (isAllowed(src || script.html() || "")) return;
+
+      removed.push(
+        src
+          ? { type: "script", src }
+          : { type: "inline-script", id: script.attr("id") || null }
+      );
+      script.remove();
+    });
+
+    $(
+      'link[rel~="modulepreload"], link[rel~="preload"][as="script"], link[rel~="prefetch"][as="script"]'
+    ).each((i, elem) => {
+      const href = $(elem).attr("href") || "";
+      if (isAllowed(href)) return;
+
+      removed.push({ type: "preload", src: href });
+      $(elem).remove();
+    });
+
+    return removed;
+  }
+
+  // Canvases marked by the flatten browser option become <img> elements of
+  // their snapshot, keeping id, class and style so they are laid out the same
+  replaceCanvasSnapshots($) {
+    $("canvas[data-clone-canvas]").each((i, elem) => {
+      const image = $("<img>");
+      for (const [name, value] of Object.entries(elem.attribs)) {
+        if (name !== "data-clone-canvas") image.attr(name, value);
+      }
+      image.attr("src", $(elem).attr("data-clone-canvas"));
+      $(elem).replaceWith(image);
+    });
+  }
+
+  // Tracker report of a running clone, as recorded in metadata.json
+  getTrackerReport(siteDir) {
+    const session = this.cloneSessions.get(siteDir);
+    if (!session || !session.strippedTrackers) return null;
+    return {
+      strippedAt: new Date().toISOString(),
+      removed: session.strippedTrackers,
+    };
+  }
+
+  // Strip trackers from the saved pages of an existing site
+  async stripSiteTrackers(siteId) {
+    const siteDir = path.join(this.outputDir, siteId);
+    const metadataPath = path.join(siteDir, "metadata.json");
+    const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+    const pages = metadata.pages || [
+      { url: metadata.originalUrl, path: "index.html" },
+    ];
+
+    const removed = [];
+    for (const page of pages) {
+      const filePath = path.join(siteDir, page.path);
+      let html;
+      try {
+        html = await fs.readFile(filePath, "utf8");
+      } catch (error) {
+        continue;
+      }
+
+      const $ = cheerio.load(html);
+      const pageRemoved = this.stripTrackers(
+        $,
+        page.url || metadata.originalUrl
+      );
+      if (pageRemoved.length > 0) {
+        await recordInitialVersion(siteDir);
+        await fs.writeFile(filePath, $.html());
+        for (const item of pageRemoved) {
+          removed.push({ page: page.path, ...item });
+        }
+      }
+    }
+
+    metadata.trackers = {
+      strippedAt: new Date().toISOString(),
+      removed: [
+        ...((metadata.trackers && metadata.trackers.removed) || []),
+        ...removed,
+      ],
+    };
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    if (removed.length > 0) {
+      await createVersion(siteDir, {
+        author: "system",
+        summary: "Stripped trackers",
+      });
+    }
+
+    return removed;
+  }
+
+  // Whether every asset of a site made it into the clone: downloads that
+  // failed while cloning and manifest files missing from the assets folder
+  async getSiteHealth(siteId) {
+    const siteDir = path.join(this.outputDir, siteId);
+    const metadata = JSON.parse(
+      await fs.readFile(path.join(siteDir, "metadata.json"), "utf8")
+    );
+    const manifest = metadata.assetManifest || [];
+    const failedAssets = metadata.failedAssets || [];
+
+    const missingAssets = [];
+    for (const entry of manifest) {
+      try {
+        await fs.access(path.join(siteDir, entry.localPath));
+      } catch (error) {
+        missingAssets.push({ url: entry.url, localPath: entry.localPath });
+      }
+    }
+
+    return {
+      siteId,
+      healthy: failedAssets.length === 0 && missingAssets.length === 0,
+      // Sites cloned before failures were recorded cannot report them
+      failuresRecorded: Array.isArray(metadata.failedAssets),
+      assets: {
+        saved: manifest.length,
+        failed: failedAssets.length,
+        missing: missingAssets.length,
+        skipped: (metadata.skippedAssets || []).length,
+      },
+      failedAssets,
+      missingAssets,
+      skippedAssets: metadata.skippedAssets || [],
+      lastAssetRetry: metadata.lastAssetRetry || null,
+    };
+  }
+
+  // Download the assets a site failed to fetch again and point its pages and
+  // stylesheets at the copies that now succeed. Browser options default to the
+  // recorded ones, so cookies or headers a protected asset needs can be passed.
+  async retryFailedAssets(siteId, browserOptions = {}) {
+    const siteDir = path.join(this.outputDir, siteId);
+    const metadataPath = path.join(siteDir, "metadata.json");
+    const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+    const failedAssets = metadata.failedAssets || [];
+
+    const resolvedOptions = this.getBrowserOptions(
+      { ...metadata.browserOptions, ...browserOptions },
+      metadata.originalUrl
+    );
+    this.startCloneSession(siteDir, {
+      browserOptions: resolvedOptions,
+      scheduler: new FetchScheduler(
+        this.getFetchOptions(metadata.fetch),
+        DEVICE_PRESETS[resolvedOptions.device].userAgent
+      ),
+    });
+    const session = this.cloneSessions.get(siteDir);
+
     try {
-      // First try with Playwright for full JS rendering
-      const playwrightPromise = this.cloneWithPlaywright(targetUrl, siteName);
-      return await Promise.race([playwrightPromise, timeoutPromise]);
-    } catch (playwrightError) {
+      // Reuse the saved files for assets that are already part of the site
+      for (const entry of metadata.assetManifest || []) {
+        session.hashes.set(entry.hash, entry.localPath);
+        session.localPaths.set(entry.url, entry.localPath);
+        session.manifest.set(entry.url, entry);
+      }
+
+      const repaired = new Map();
+      await Promise.all(
+        failedAssets.map(async (asset) => {
+          const localPath = await this.downloadAsset(
+            asset.url,
+            asset.url,
+            siteDir
+          );
+          if (localPath.startsWith("./assets/")) {
+            repaired.set(asset.url, localPath);
+          }
+        })
+      );
+
+      if (repaired.size > 0) {
+        await recordInitialVersion(siteDir);
+        await this.replaceSiteAssetReferences(siteDir, metadata, repaired);
+      }
+
+      const stillFailing = [...session.failedAssets.values()];
+      metadata.assets = await this.getAssetsList(path.join(siteDir, "assets"));
+      metadata.assetManifest = [...session.manifest.values()];
+      metadata.failedAssets = stillFailing;
+      const skippedUrls = new Set(
+        session.skippedAssets.map((asset) => asset.url)
+      );
+      metadata.skippedAssets = [
+        ...(metadata.skippedAssets || []).filter(
+          (asset) => !skippedUrls.has(asset.url)
+        ),
+        ...session.skippedAssets,
+      ];
+      metadata.lastAssetRetry = {
+        at: new Date().toISOString(),
+        attempted: failedAssets.length,
+        repaired: repaired.size,
+        failed: stillFailing.length,
+      };
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      if (repaired.size > 0) {
+        await createVersion(siteDir, {
+          author: "system",
+          summary: "Repaired failed assets",
+        });
+      }
+
+      return {
+        repaired: [...repaired].map(([assetUrl, localPath]) => ({
+          url: assetUrl,
+          localPath,
+        })),
+        failed: stillFailing,
+      };
+    } finally {
+      this.cloneSessions.delete(siteDir);
+    }
+  }
+
+  // Point the saved pages, the extracted styles and the stylesheets of a site
+  // at newly downloaded assets. Failed references were saved as absolute URLs.
+  async replaceSiteAssetReferences(siteDir, metadata, localPaths) {
+    const replaceReferences = (text, assetPrefix, escapeAmpersands) => {
+      for (const [assetUrl, localPath] of localPaths) {
+        const reference = escapeAmpersands
+          ? assetUrl.replace(/&/g, "&amp;")
+          : assetUrl;
+        // Only whole URLs, not the start of a longer one
+        const escaped = reference.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const pattern = new RegExp(`${escaped}(?=["'\\s),<>]|&quot;|$)`, "g");
+        text = text.replace(
+          pattern,
+          assetPrefix + localPath.slice("./assets/".length)
+        );
+      }
+      return text;
+    };
+
+    // Stylesheets renamed below, old file name -> new file name, in the
+    // order they were renamed so chained renames resolve
+    const renames = new Map();
+    const applyRenames = (text) => {
+      for (const [oldName, newName] of renames) {
+        text = text.split(oldName).join(newName);
+      }
+      return text;
+    };
+
+    const rewriteFile = async (filePath, rewrite) => {
+      let text;
+      try {
+        text = await fs.readFile(filePath, "utf8");
+      } catch (error) {
+        return null;
+      }
+      const rewritten = rewrite(text);
+      if (rewritten === text) return null;
+      await fs.writeFile(filePath, rewritten);
+      return rewritten;
+    };
+
+    // Stylesheets live in assets/ themselves and are named after a hash of
+    // their content, so a rewritten one is saved under its new hash and its
+    // manifest entries follow. The old file is kept for saved versions of the
+    // pages that still use it. A rename changes the stylesheets importing
+    // the renamed one too, so this repeats until nothing changes (bounded,
+    // for @import cycles).
+    const session = this.cloneSessions.get(siteDir);
+    const getStylesheets = () => [
+      ...new Set(
+        [...session.manifest.values()]
+          .map((entry) => entry.localPath)
+          .filter((localPath) => path.extname(localPath) === ".css")
+      ),
+    ];
+    const maxPasses = getStylesheets().length + 1;
+    let renamed = true;
+    for (let pass = 0; renamed && pass < maxPasses; pass++) {
+      renamed = false;
+      for (const localPath of getStylesheets()) {
+        let css;
+        try {
+          css = await fs.readFile(path.join(siteDir, localPath), "utf8");
+        } catch (error) {
+          continue;
+        }
+        const rewritten = applyRenames(replaceReferences(css, "", false));
+        if (rewritten === css) continue;
+
+        const buffer = Buffer.from(rewritten);
+        const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+        const fileName = `${hash.substring(0, ASSET_HASH_LENGTH)}.css`;
+        const newPath = `./assets/${fileName}`;
+        await fs.writeFile(path.join(siteDir, "assets", fileName), buffer);
+
+        renames.set(path.basename(localPath), fileName);
+        session.hashes.set(hash, newPath);
+        for (const entry of session.manifest.values()) {
+          if (entry.localPath !== localPath) continue;
+          entry.localPath = newPath;
+          entry.size = buffer.length;
+          entry.hash = hash;
+        }
+        renamed = true;
+      }
+    }
+
+    // Attribute values are saved with & escaped; inline <style> text is not
+    const pages = metadata.pages || [{ path: "index.html" }];
+    for (const page of pages) {
+      await rewriteFile(path.join(siteDir, page.path), (html) =>
+        applyRenames(
+          replaceReferences(
+            replaceReferences(html, "./assets/", true),
+            "./assets/",
+            false
+          )
+        )
+      );
+    }
+    await rewriteFile(path.join(siteDir, "extracted-styles.css"), (css) =>
+      applyRenames(replaceReferences(css, "./assets/", false))
+    );
+  }
+
+  // Key used to detect already-visited pages (ignores query, hash, trailing
+  // slash and a trailing index.html)
+  normalizePageUrl(pageUrl) {
+    const parsed = new URL(pageUrl);
+    const pathname =
+      parsed.pathname.replace(/\/index\.html?$/i, "/").replace(/\/+$/, "") ||
+      "/";
+    return `${parsed.origin}${pathname}`;
+  }
+
+  // Map a page URL to the file it is mirrored to inside the site folder,
+  // e.g. /about -> about/index.html, /blog/post.html -> blog/post.html
+  getPagePath(pageUrl) {
+    const segments = new URL(pageUrl).pathname
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => segment.replace(/[^a-zA-Z0-9._-]/g, "_"))
+      .filter((segment) => segment !== "." && segment !== "..");
+
+    if (segments.length === 0) return "index.html";
+
+    const last = segments[segments.length - 1];
+    const extension = path.extname(last).toLowerCase();
+    if (extension === ".html" || extension === ".htm") {
+      return segments.join("/");
+    }
+    if (extension) {
+      // Server-rendered pages such as .php or .aspx are saved as plain HTML
+      segments[segments.length - 1] =
+        path.basename(last, path.extname(last)) + ".html";
+      return segments.join("/");
+    }
+    return [...segments, "index.html"].join("/");
+  }
+
+  // Collect same-origin links that look like HTML pages
+  collectInternalLinks($, pageUrl, rootUrl) {
+    const origin = new URL(rootUrl).origin;
+    const links = [];
+
+    $("a[href]").each((i, elem) => {
+      const href = ($(elem).attr("href") || "").trim();
+      if (!href || /^(#|mailto:|tel:|javascript:|data:)/i.test(href)) return;
+
+      try {
+        const absoluteUrl = new URL(href, pageUrl);
+        if (absoluteUrl.origin !== origin) return;
+        if (NON_PAGE_EXTENSIONS.test(absoluteUrl.pathname)) return;
+        absoluteUrl.hash = "";
+        links.push(absoluteUrl.href);
+      } catch (error) {
+        // Ignore malformed hrefs
+      }
+    });
+
+    return links;
+  }
+
+  // Point internal <a href> links at the local copies of crawled pages
+  rewriteInternalLinks($, pageUrl, pageMap) {
+    $("a[href]").each((i, elem) => {
+      const $elem = $(elem);
+      const href = ($elem.attr("href") || "").trim();
+      if (!href || href.startsWith("#")) return;
+
+      try {
+        const absoluteUrl = new URL(href, pageUrl);
+        const localPath = pageMap.get(this.normalizePageUrl(absoluteUrl.href));
+        if (localPath) {
+          $elem.attr("href", `./${localPath}${absoluteUrl.hash}`);
+        }
+      } catch (error) {
+        // Leave malformed hrefs untouched
+      }
+    });
+  }
+
+  // Save the already-localized root page and, when crawl options are given,
+  // follow same-origin links breadth-first up to maxDepth/maxPages, plus the
+  // pageUrls of crawl options as if the root page linked to them. Every page
+  // is mirrored under siteDir and links between saved pages are rewritten to
+  // site-root relative paths. Iframe documents captured by the flatten option
+  // are saved as pages of their own. Returns the page list recorded in
+  // metadata.json.
+  async crawlSite(rootUrl, $root, siteDir, fetchPageHtml, crawlOptions) {
+    const pages = [{ url: rootUrl, path: "index.html", depth: 0, $: $root }];
+    const pageMap = new Map([[this.normalizePageUrl(rootUrl), "index.html"]]);
+    const usedPaths = new Set(["index.html"]);
+
+    if (crawlOptions) {
       console.log(
-        "Playwright failed, falling back to axios method:",
-        playwrightError.message
+        `Crawling ${rootUrl} (max depth ${crawlOptions.maxDepth}, max pages ${crawlOptions.maxPages})`
+      );
+    }
+
+    for (let i = 0; i < pages.length; i++) {
+      const current = pages[i];
+      await this.extractFramePages(current, pages, usedPaths, siteDir);
+      if (
+        !crawlOptions ||
+        current.frame ||
+        current.depth >= crawlOptions.maxDepth
+      ) {
+        continue;
+      }
+
+      const links = this.collectInternalLinks(current.$, current.url, rootUrl);
+      if (i === 0 && crawlOptions.pageUrls) {
+        links.push(...crawlOptions.pageUrls);
+      }
+      for (const link of links) {
+        if (
+          pages.filter((page) => !page.frame).length >= crawlOptions.maxPages
+        ) {
+          break;
+        }
+
+        const pageKey = this.normalizePageUrl(link);
+        const pagePath = this.getPagePath(link);
+        if (pageMap.has(pageKey) || usedPaths.has(pagePath)) continue;
+
+        // Reserve the page before fetching so failures are not retried
+        pageMap.set(pageKey, pagePath);
+        usedPaths.add(pagePath);
+
+        const session = this.cloneSessions.get(siteDir);
+        if (session && !(await session.scheduler.isAllowed(link))) {
+          console.log(`Skipping page ${link}: disallowed by robots.txt`);
+          session.skippedPages.push({ url: link, reason: "robots.txt" });
+          pageMap.delete(pageKey);
+          continue;
+        }
+
+        this.checkCloneAborted(siteDir);
+        try {
+          console.log(`Crawling page ${link} -> ${pagePath}`);
+          this.reportProgress(siteDir, {
+            type: "stage",
+            message: `Crawling ${link}`,
+          });
+          const html = await fetchPageHtml(link);
+          const $ = cheerio.load(html);
+          this.sanitizePage($, link, pagePath, siteDir);
+          await this.localizeAssets($, link, siteDir);
+          pages.push({
+            url: link,
+            path: pagePath,
+            depth: current.depth + 1,
+            $,
+          });
+        } catch (error) {
+          console.warn(`Failed to crawl page ${link}:`, error.message);
+          pageMap.delete(pageKey);
+        }
+      }
+    }
+
+    for (const page of pages) {
+      this.checkCloneAborted(siteDir);
+      if (pages.length > 1) {
+        this.rewriteInternalLinks(page.$, page.url, pageMap);
+      }
+
+      // Nested pages keep the site-root relative ./assets/ paths working
+      const depth = page.path.split("/").length - 1;
+      if (depth > 0 && page.$("base").length === 0) {
+        page.$("head").prepend(`<base href="${"../".repeat(depth)}">`);
+      }
+
+      const filePath = path.join(siteDir, page.path);
+      await this.ensureDirectoryExists(path.dirname(filePath));
+      await fs.writeFile(filePath, page.$.html());
+      this.reportProgress(siteDir, {
+        type: "page",
+        url: page.url,
+        path: page.path,
+      });
+    }
+
+    return pages.map((page) => {
+      const entry = {
+        url: page.url,
+        path: page.path,
+        title: page.$("title").first().text().trim(),
+        depth: page.depth,
+      };
+      if (page.frame) entry.frame = true;
+      return entry;
+    });
+  }
+
+  // Move the iframe documents the flatten option embedded in a page into
+  // pages of their own (frames/frame-N.html) and point the iframes at them.
+  // The new pages are appended to `pages`, so nested frames follow.
+  async extractFramePages(page, pages, usedPaths, siteDir) {
+    const frames = page.$("iframe[data-clone-frame-html]").toArray();
+
+    for (const elem of frames) {
+      const iframe = page.$(elem);
+      const html = iframe.attr("data-clone-frame-html");
+      let frameUrl;
+      try {
+        frameUrl = new URL(iframe.attr("data-clone-frame"), page.url).href;
+      } catch (error) {
+        frameUrl = page.url;
+      }
+      iframe.removeAttr("data-clone-frame-html");
+      iframe.removeAttr("data-clone-frame");
+
+      let framePath;
+      for (let n = 1; !framePath || usedPaths.has(framePath); n++) {
+        framePath = `frames/frame-${n}.html`;
+      }
+      usedPaths.add(framePath);
+
+      try {
+        console.log(`Saving iframe ${frameUrl} -> ${framePath}`);
+        const $ = cheerio.load(html);
+        this.sanitizePage($, frameUrl, framePath, siteDir);
+        await this.localizeAssets($, frameUrl, siteDir);
+        iframe.attr("src", `./${framePath}`);
+        iframe.removeAttr("srcdoc");
+        pages.push({
+          url: frameUrl,
+          path: framePath,
+          depth: page.depth,
+          frame: true,
+          $,
+        });
+      } catch (error) {
+        console.warn(`Failed to save iframe ${frameUrl}:`, error.message);
+      }
+    }
+  }
+
+  async cloneWebsite(targetUrl, siteName = "", options = {}) {
+    console.log(`Starting to clone ${targetUrl} with name ${siteName}`);
+
+    // Give up after the timeout; the pipeline stops at its next step and
+    // removes what it saved so far
+    const timeout = this.getCloneTimeout(options.crawl);
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () =>
+        controller.abort(
+          new Error(
+            `Operation timed out after ${Math.round(timeout / 60000)} minutes`
+          )
+        ),
+      timeout
+    );
+    const timeoutPromise = new Promise((_, reject) => {
+      controller.signal.addEventListener("abort", () =>
+        reject(controller.signal.reason)
       );
+    });
+
+    // A strategy given by the caller (e.g. an upload) is used on its own;
+    // otherwise render with Playwright and fall back to plain HTTP
+    const strategies = options.strategy
+      ? [options.strategy]
+      : [new PlaywrightFetchStrategy(this), new AxiosFetchStrategy(this)];
+
+    try {
+      return await Promise.race([
+        this.runClonePipeline(strategies, targetUrl, siteName, {
+          ...options,
+          signal: controller.signal,
+        }),
+        timeoutPromise,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Time limit of a clone, growing with the number of pages it may crawl
+  getCloneTimeout(crawl) {
+    const crawlOptions = this.getCrawlOptions(crawl);
+    const pages = crawlOptions ? crawlOptions.maxPages : 1;
+    return CLONE_TIMEOUT + (pages - 1) * CRAWL_PAGE_TIMEOUT;
+  }
+
+  // Stop a clone whose signal was aborted (e.g. on timeout)
+  checkCloneAborted(siteDir) {
+    const session = this.cloneSessions.get(siteDir);
+    if (session && session.signal) {
+      session.signal.throwIfAborted();
+    }
+  }
+
+  // Fetch the landing page with the first strategy that can load it, then run
+  // the clone stages over the result
+  async runClonePipeline(strategies, targetUrl, siteName, options) {
+    const browserOptions = this.getBrowserOptions(options.browser, targetUrl);
+    const fetchOptions = this.getFetchOptions(options.fetch);
+    const scheduler = new FetchScheduler(
+      fetchOptions,
+      DEVICE_PRESETS[browserOptions.device].userAgent
+    );
+    const reportStage = (message) =>
+      options.onProgress && options.onProgress({ type: "stage", message });
+
+    let strategy;
+    let fetched;
+    let fetchError;
+    for (const candidate of strategies) {
+      try {
+        fetched = await candidate.open(targetUrl, {
+          browserOptions,
+          scheduler,
+          reportStage,
+        });
+        strategy = candidate;
+        break;
+      } catch (error) {
+        console.log(`${candidate.name} fetch failed:`, error.message);
+        fetchError = error;
+      }
+    }
+    if (!fetched) {
+      return {
+        success: false,
+        error: fetchError.message,
+        method: strategies[strategies.length - 1].name,
+      };
+    }
+
+    const clone = {
+      targetUrl,
+      siteName,
+      options,
+      browserOptions,
+      fetchOptions,
+      scheduler,
+      crawlOptions: this.getCloneCrawlOptions(options.crawl, fetched),
+      staticSnapshot: this.getStaticSnapshotOptions(options.staticSnapshot),
+      method: strategy.name,
+      fetched,
+      reportStage,
+      // Parse with Cheerio for manipulation
+      $: cheerio.load(fetched.html),
+      siteId: null,
+      siteDir: null,
+      inlineStyles: [],
+      pages: [],
+      screenshots: null,
+      metadata: null,
+    };
+
+    try {
+      for (const stage of this.cloneStages) {
+        if (options.signal) options.signal.throwIfAborted();
+        await stage.run(clone);
+      }
+
+      return {
+        success: true,
+        siteId: clone.siteId,
+        path: clone.siteDir,
+        metadata: clone.metadata,
+        method: clone.method,
+      };
+    } catch (error) {
+      console.error("Cloning error:", error);
+      console.error("Error stack:", error.stack);
+      return {
+        success: false,
+        error: error.message,
+        details: error.code || "Unknown error code",
+        method: clone.method,
+      };
+    } finally {
+      this.cloneSessions.delete(clone.siteDir);
+      await fetched.close();
+      // A failed clone leaves no half-saved site (or refresh staging folder)
+      if (!clone.metadata && clone.siteDir) {
+        await fs.rm(clone.siteDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  // Stages every clone goes through once its landing page has been fetched,
+  // in order. Each receives the clone state built by runClonePipeline.
+  createCloneStages() {
+    return [
+      { name: "prepare", run: (clone) => this.prepareSiteFolder(clone) },
+      {
+        name: "sanitize",
+        run: (clone) =>
+          this.sanitizePage(
+            clone.$,
+            clone.targetUrl,
+            "index.html",
+            clone.siteDir
+          ),
+      },
+      {
+        name: "localize-assets",
+        run: async (clone) => {
+          // Save captured assets (downloading anything missing) and rewrite references
+          clone.reportStage(
+            clone.fetched.responses.size > 0
+              ? "Saving captured assets"
+              : "Downloading assets"
+          );
+          await this.localizeAssets(clone.$, clone.targetUrl, clone.siteDir);
+        },
+      },
+      {
+        name: "extract-styles",
+        run: (clone) => {
+          clone.$("style").each((i, elem) => {
+            clone.inlineStyles.push(clone.$(elem).html());
+          });
+        },
+      },
+      {
+        name: "pages",
+        run: async (clone) => {
+          // Save the modified HTML, following internal links when crawling
+          clone.reportStage(
+            clone.crawlOptions ? "Crawling internal pages" : "Saving page"
+          );
+          clone.pages = await this.crawlSite(
+            clone.targetUrl,
+            clone.$,
+            clone.siteDir,
+            clone.fetched.fetchPageHtml,
+            clone.crawlOptions
+          );
+          await this.saveCapturedAssets(clone.siteDir);
+        },
+      },
+      {
+        name: "styles",
+        run: async (clone) => {
+          // Save extracted styles to a separate file for easier editing
+          if (clone.inlineStyles.length > 0) {
+            await fs.writeFile(
+              path.join(clone.siteDir, "extracted-styles.css"),
+              clone.inlineStyles.join("\n\n")
+            );
+          }
+        },
+      },
+      {
+        name: "screenshots",
+        run: async (clone) => {
+          if (clone.fetched.screenshots) {
+            clone.screenshots = await this.saveScreenshots(
+              clone.siteDir,
+              clone.fetched.screenshots
+            );
+          }
+        },
+      },
+      { name: "metadata", run: (clone) => this.writeCloneMetadata(clone) },
+    ];
+  }
+
+  // Pick a folder name for a new clone: the caller's choice (e.g. a refresh
+  // staging copy), a slug of the site name or a timestamp
+  async allocateSiteId(siteName, requestedId) {
+    if (requestedId) {
+      return requestedId;
+    }
+    if (!siteName) {
+      return Date.now().toString();
+    }
+
+    // Create a safe directory name from the site name
+    const baseId = siteName
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "_")
+      .replace(/_+/g, "_")
+      .substring(0, 30);
+
+    // Check if directory already exists, append number if needed
+    let siteId = baseId;
+    let counter = 1;
+    while (true) {
       try {
-        const axiosPromise = this.cloneWithAxios(targetUrl, siteName);
-        return await Promise.race([axiosPromise, timeoutPromise]);
-      } catch (axiosError) {
-        throw axiosError;
+        await fs.access(path.join(this.outputDir, siteId));
+        siteId = `${baseId}${counter}`;
+        counter++;
+      } catch (error) {
+        // Directory doesn't exist, we can use this name
+        return siteId;
       }
     }
   }
 
-  async cloneWithPlaywright(targetUrl, siteName = "") {
-    console.log(`Launching browser for ${targetUrl} with name ${siteName}`);
-    let browser;
+  async prepareSiteFolder(clone) {
+    clone.siteId = await this.allocateSiteId(
+      clone.siteName,
+      clone.options.siteId
+    );
+    clone.siteDir = path.join(this.outputDir, clone.siteId);
+    await this.ensureDirectoryExists(clone.siteDir);
+    await this.ensureDirectoryExists(path.join(clone.siteDir, "assets"));
+    this.startCloneSession(clone.siteDir, {
+      onProgress: clone.options.onProgress,
+      browserOptions: clone.browserOptions,
+      scheduler: clone.scheduler,
+      responses: clone.fetched.responses,
+      stripTrackers: clone.options.stripTrackers,
+      staticSnapshot: clone.staticSnapshot,
+      signal: clone.options.signal,
+    });
+  }
 
-    try {
-      browser = await chromium.launch({
-        headless: true,
-        timeout: 30000,
-        args: [
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--disable-dev-shm-usage",
-          "--disable-web-security",
-          "--disable-features=VizDisplayCompositor",
-        ],
-      });
-      console.log("Browser launched successfully");
-    } catch (launchError) {
-      console.error("Failed to launch browser:", launchError);
-      throw new Error(`Browser launch failed: ${launchError.message}`);
+  async writeCloneMetadata(clone) {
+    const session = this.cloneSessions.get(clone.siteDir);
+    const metadata = {
+      originalUrl: clone.targetUrl,
+      siteName: clone.siteName || "",
+      clonedAt: new Date().toISOString(),
+      siteId: clone.siteId,
+      method: clone.method,
+      browserOptions: this.describeBrowserOptions(clone.browserOptions),
+      ...clone.fetched.getMetadata(),
+      screenshots: clone.screenshots,
+      assets: await this.getAssetsList(path.join(clone.siteDir, "assets")),
+      assetManifest: this.getAssetManifest(clone.siteDir),
+      pages: clone.pages,
+      trackers: this.getTrackerReport(clone.siteDir),
+      fetch: clone.fetchOptions,
+      skippedAssets: session.skippedAssets,
+      failedAssets: [...session.failedAssets.values()],
+      skippedPages: session.skippedPages,
+      forms: mergeFormSettings(session.forms),
+    };
+    if (clone.crawlOptions) {
+      metadata.crawl = {
+        maxDepth: clone.crawlOptions.maxDepth,
+        maxPages: clone.crawlOptions.maxPages,
+      };
     }
+    if (clone.staticSnapshot) {
+      metadata.staticSnapshot = {
+        allowScripts: clone.staticSnapshot.allowScripts,
+        frozenAt: new Date().toISOString(),
+        removed: session.frozenScripts,
+      };
+    }
+    await fs.writeFile(
+      path.join(clone.siteDir, "metadata.json"),
+      JSON.stringify(metadata, null, 2)
+    );
+    clone.metadata = metadata;
+  }
 
-    try {
-      console.log("Creating new page...");
-      const context = await browser.newContext({
-        viewport: { width: 1920, height: 1080 },
-        userAgent:
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-        extraHTTPHeaders: {
-          "Accept-Language": "en-US,en;q=0.9",
-          Accept:
-            "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-        },
-      });
-
-      // Set timeout for all page operations
-      context.setDefaultTimeout(60000);
-      const page = await context.newPage();
-
-      console.log(`Navigating to ${targetUrl}...`);
+  // Write captured screenshots into the site folder and describe them for metadata
+  async saveScreenshots(siteDir, screenshots) {
+    const screenshotsDir = path.join(siteDir, "screenshots");
+    await this.ensureDirectoryExists(screenshotsDir);
 
-      // Try multiple navigation strategies
-      try {
-        await page.goto(targetUrl, {
-          waitUntil: "networkidle",
-          timeout: 60000,
-        });
-      } catch (navError) {
-        console.log(
-          "First navigation attempt failed, trying with domcontentloaded..."
-        );
-        await page.goto(targetUrl, {
-          waitUntil: "domcontentloaded",
-          timeout: 30000,
-        });
-      }
+    const files = {
+      full: "screenshots/full.png",
+      desktop: "screenshots/desktop.jpg",
+      mobile: "screenshots/mobile.jpg",
+    };
+    for (const [name, file] of Object.entries(files)) {
+      await fs.writeFile(path.join(siteDir, file), screenshots[name]);
+    }
 
-      console.log("Page loaded successfully");
+    return { ...files, capturedAt: new Date().toISOString() };
+  }
 
-      // Wait a bit more for React/Next.js to fully render
-      await page.waitForTimeout(3000);
+  // Re-clone a site from its original URL into a staging folder, re-apply the
+  // edits recorded in its metadata and replace the site's pages with the result.
+  // Browser options default to the recorded ones (cookies and headers excepted).
+  // Progress of the re-clone is reported to onProgress like a clone's.
+  async refreshSite(siteId, browserOptions = {}, onProgress = null) {
+    const siteDir = path.join(this.outputDir, siteId);
+    const metadataPath = path.join(siteDir, "metadata.json");
+    const source = JSON.parse(await fs.readFile(metadataPath, "utf8"));
 
-      // Get the full HTML after JavaScript execution
-      const html = await page.content();
+    if (source.originalUrl === UPLOAD_BASE_URL) {
+      throw new Error(
+        "This site was uploaded without a source URL and cannot be refreshed"
+      );
+    }
 
-      // Parse with Cheerio for manipulation
-      const $ = cheerio.load(html);
+    const stagingCloner = new WebsiteCloner(
+      path.join(os.tmpdir(), "site-replicator-refresh")
+    );
+    const result = await stagingCloner.cloneWebsite(
+      source.originalUrl,
+      source.siteName,
+      {
+        crawl: source.crawl,
+        fetch: source.fetch,
+        staticSnapshot: source.staticSnapshot,
+        browser: { ...source.browserOptions, ...browserOptions },
+        stripTrackers: Boolean(source.trackers),
+        siteId: `${siteId}_${Date.now()}`,
+        onProgress,
+      }
+    );
+    if (!result || !result.success) {
+      throw new Error(
+        `Could not re-fetch ${source.originalUrl}: ${
+          (result && result.error) || "Unknown error"
+        }`
+      );
+    }
 
-      // Create output directory with site name only
-      let siteId;
-      if (siteName) {
-        // Create a safe directory name from the site name
-        siteId = siteName
-          .toLowerCase()
-          .replace(/[^a-z0-9]/g, "_")
-          .replace(/_+/g, "_")
-          .substring(0, 30);
-
-        // Check if directory already exists, append number if needed
-        let counter = 1;
-        let tempSiteId = siteId;
-        while (true) {
-          try {
-            await fs.access(path.join(this.outputDir, tempSiteId));
-            // Directory exists, try with counter
-            tempSiteId = `${siteId}${counter}`;
-            counter++;
-          } catch (error) {
-            // Directory doesn't exist, we can use this name
-            siteId = tempSiteId;
-            break;
-          }
-        }
-      } else {
-        // Fallback to timestamp
-        siteId = Date.now().toString();
+    const stagingDir = result.path;
+    try {
+      if (onProgress) {
+        onProgress({ type: "stage", message: "Re-applying edits" });
       }
 
-      const siteDir = path.join(this.outputDir, siteId);
-      await this.ensureDirectoryExists(siteDir);
-      await this.ensureDirectoryExists(path.join(siteDir, "assets"));
-
-      // Download and replace CSS files
-      const cssLinks = $('link[rel="stylesheet"]');
-      for (let i = 0; i < cssLinks.length; i++) {
-        const link = cssLinks.eq(i);
-        const href = link.attr("href");
-        if (href) {
-          const localPath = await this.downloadAsset(href, targetUrl, siteDir);
-          link.attr("href", localPath);
-        }
+      // The site may have been edited while it was re-cloned, so its edits,
+      // form settings and link rules are read again
+      const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+      const edits = metadata.edits || [];
+      const oldPages = metadata.pages || [{ path: "index.html", depth: 0 }];
+
+      // Load the fresh pages and replay the recorded edits on them
+      const newPages = {};
+      for (const page of result.metadata.pages) {
+        const html = await fs.readFile(
+          path.join(stagingDir, page.path),
+          "utf8"
+        );
+        newPages[page.path] = cheerio.load(html);
       }
+      const { applied, failed } = applyRecordedEdits(newPages, edits);
 
-      // Download and replace JavaScript files
-      const scriptTags = $("script[src]");
-      for (let i = 0; i < scriptTags.length; i++) {
-        const script = scriptTags.eq(i);
-        const src = script.attr("src");
-        if (src && !src.startsWith("http")) {
-          const localPath = await this.downloadAsset(src, targetUrl, siteDir);
-          script.attr("src", localPath);
+      // Keep captured forms posting to the submission endpoint
+      await moveFormWebhooks(siteId, metadata.forms);
+      const forms = mergeFormSettings(
+        result.metadata.forms || [],
+        metadata.forms
+      );
+      for (const form of forms) {
+        if (form.capture && newPages[form.page]) {
+          rerouteForm(
+            newPages[form.page],
+            form.id,
+            getSubmitPath(siteId, form.id)
+          );
         }
       }
 
-      // Download and replace images
-      const images = $("img[src]");
-      for (let i = 0; i < images.length; i++) {
-        const img = images.eq(i);
-        const src = img.attr("src");
-        if (src) {
-          const localPath = await this.downloadAsset(src, targetUrl, siteDir);
-          img.attr("src", localPath);
+      // Point the fresh links at the site's replacement URLs again. Rules
+      // saved before the current limits that fail them are not re-applied.
+      let linkRules = [];
+      try {
+        linkRules = normalizeLinkRules(metadata.linkRules || []);
+      } catch (error) {
+        console.warn(`Not re-applying link rules of ${siteId}:`, error.message);
+      }
+      if (linkRules.length > 0) {
+        for (const page of result.metadata.pages) {
+          applyLinkRules(
+            newPages[page.path],
+            linkRules,
+            page.url || metadata.originalUrl
+          );
         }
       }
 
-      // Extract and save inline styles
-      const inlineStyles = [];
-      $("style").each((i, elem) => {
-        inlineStyles.push($(elem).html());
-      });
-
-      // Save the modified HTML
-      const finalHtml = $.html();
-      await fs.writeFile(path.join(siteDir, "index.html"), finalHtml);
-
-      // Save extracted styles to a separate file for easier editing
-      if (inlineStyles.length > 0) {
-        const combinedStyles = inlineStyles.join("\n\n");
-        await fs.writeFile(
-          path.join(siteDir, "extracted-styles.css"),
-          combinedStyles
-        );
-      }
+      await recordInitialVersion(siteDir);
 
-      // Save metadata
-      const metadata = {
-        originalUrl: targetUrl,
-        siteName: siteName || "",
-        clonedAt: new Date().toISOString(),
-        siteId: siteId,
-        method: "playwright",
-        assets: await this.getAssetsList(path.join(siteDir, "assets")),
-      };
-      await fs.writeFile(
-        path.join(siteDir, "metadata.json"),
-        JSON.stringify(metadata, null, 2)
+      // Compare the stored pages with the refreshed (and re-edited) ones
+      const backupDir = path.join(
+        getSiteDataDir(siteId),
+        REFRESH_BACKUPS_DIR,
+        String(Date.now())
       );
-
-      return {
-        success: true,
-        siteId: siteId,
-        path: siteDir,
-        metadata: metadata,
-        method: "playwright",
-      };
-    } catch (error) {
-      console.error("Cloning error:", error);
-      console.error("Error stack:", error.stack);
-      return {
-        success: false,
-        error: error.message,
-        details: error.code || "Unknown error code",
-        method: "playwright",
-      };
-    } finally {
-      if (browser) {
+      const diff = [];
+      for (const page of oldPages) {
+        let oldHtml;
         try {
-          await browser.close();
-          console.log("Browser closed successfully");
-        } catch (closeError) {
-          console.error("Error closing browser:", closeError);
+          oldHtml = await fs.readFile(path.join(siteDir, page.path), "utf8");
+        } catch (error) {
+          continue;
         }
-      }
-    }
-  }
-
-  async cloneWithAxios(targetUrl, siteName = "") {
-    console.log(
-      `Using axios fallback method for ${targetUrl} with name ${siteName}`
-    );
-
-    try {
-      // Fetch the HTML with axios
-      const response = await axios.get(targetUrl, {
-        timeout: 30000,
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-          Accept:
-            "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-          "Accept-Language": "en-US,en;q=0.9",
-          "Accept-Encoding": "gzip, deflate, br",
-          Connection: "keep-alive",
-          "Upgrade-Insecure-Requests": "1",
-        },
-        maxRedirects: 5,
-        validateStatus: function (status) {
-          return status < 500;
-        },
-      });
-
-      const html = response.data;
-      console.log("HTML fetched successfully with axios");
 
-      // Parse with Cheerio for manipulation
-      const $ = cheerio.load(html);
+        // Keep the previous version of every page out of the served folder
+        const backupPath = path.join(backupDir, page.path);
+        await this.ensureDirectoryExists(path.dirname(backupPath));
+        await fs.writeFile(backupPath, oldHtml);
 
-      // Create output directory with site name only
-      let siteId;
-      if (siteName) {
-        // Create a safe directory name from the site name
-        siteId = siteName
-          .toLowerCase()
-          .replace(/[^a-z0-9]/g, "_")
-          .replace(/_+/g, "_")
-          .substring(0, 30);
-
-        // Check if directory already exists, append number if needed
-        let counter = 1;
-        let tempSiteId = siteId;
-        while (true) {
-          try {
-            await fs.access(path.join(this.outputDir, tempSiteId));
-            // Directory exists, try with counter
-            tempSiteId = `${siteId}${counter}`;
-            counter++;
-          } catch (error) {
-            // Directory doesn't exist, we can use this name
-            siteId = tempSiteId;
-            break;
-          }
+        if (newPages[page.path]) {
+          diff.push({
+            path: page.path,
+            status: "changed",
+            text: diffPageText(cheerio.load(oldHtml), newPages[page.path]),
+          });
+        } else {
+          diff.push({ path: page.path, status: "removed" });
+          await fs.unlink(path.join(siteDir, page.path));
         }
-      } else {
-        // Fallback to timestamp
-        siteId = Date.now().toString();
       }
-
-      const siteDir = path.join(this.outputDir, siteId);
-      await this.ensureDirectoryExists(siteDir);
-      await this.ensureDirectoryExists(path.join(siteDir, "assets"));
-
-      // Download and replace CSS files
-      const cssLinks = $('link[rel="stylesheet"]');
-      for (let i = 0; i < cssLinks.length; i++) {
-        const link = cssLinks.eq(i);
-        const href = link.attr("href");
-        if (href) {
-          const localPath = await this.downloadAsset(href, targetUrl, siteDir);
-          link.attr("href", localPath);
+      await this.ensureDirectoryExists(backupDir);
+      await fs.copyFile(metadataPath, path.join(backupDir, "metadata.json"));
+      await this.pruneRefreshBackups(siteId);
+
+      for (const page of result.metadata.pages) {
+        const entry = diff.find((item) => item.path === page.path);
+        if (!entry) {
+          diff.push({ path: page.path, status: "added" });
+        } else if (!entry.text.added && !entry.text.removed) {
+          entry.status = "unchanged";
         }
-      }
 
-      // Download and replace JavaScript files
-      const scriptTags = $("script[src]");
-      for (let i = 0; i < scriptTags.length; i++) {
-        const script = scriptTags.eq(i);
-        const src = script.attr("src");
-        if (src && !src.startsWith("http")) {
-          const localPath = await this.downloadAsset(src, targetUrl, siteDir);
-          script.attr("src", localPath);
-        }
+        const pagePath = path.join(siteDir, page.path);
+        await this.ensureDirectoryExists(path.dirname(pagePath));
+        await fs.writeFile(pagePath, newPages[page.path].html());
       }
 
-      // Download and replace images
-      const images = $("img[src]");
-      for (let i = 0; i < images.length; i++) {
-        const img = images.eq(i);
-        const src = img.attr("src");
-        if (src) {
-          const localPath = await this.downloadAsset(src, targetUrl, siteDir);
-          img.attr("src", localPath);
-        }
+      // Assets are content-addressed, so fresh files sit beside the old ones
+      // (and beside images uploaded in the editor)
+      await fs.cp(
+        path.join(stagingDir, "assets"),
+        path.join(siteDir, "assets"),
+        { recursive: true }
+      );
+      if (result.metadata.screenshots) {
+        await fs.cp(
+          path.join(stagingDir, "screenshots"),
+          path.join(siteDir, "screenshots"),
+          { recursive: true }
+        );
       }
-
-      // Extract and save inline styles
-      const inlineStyles = [];
-      $("style").each((i, elem) => {
-        inlineStyles.push($(elem).html());
-      });
-
-      // Save the modified HTML
-      const finalHtml = $.html();
-      await fs.writeFile(path.join(siteDir, "index.html"), finalHtml);
-
-      // Save extracted styles to a separate file for easier editing
-      if (inlineStyles.length > 0) {
-        const combinedStyles = inlineStyles.join("\n\n");
-        await fs.writeFile(
-          path.join(siteDir, "extracted-styles.css"),
-          combinedStyles
+      try {
+        await fs.copyFile(
+          path.join(stagingDir, "extracted-styles.css"),
+          path.join(siteDir, "extracted-styles.css")
         );
+      } catch (error) {
+        // The fresh clone has no inline styles
       }
 
-      // Save metadata
-      const metadata = {
-        originalUrl: targetUrl,
-        siteName: siteName || "",
-        clonedAt: new Date().toISOString(),
-        siteId: siteId,
-        method: "axios-fallback",
+      const refreshedAt = new Date().toISOString();
+      const failedEdits = failed.map((edit) => ({
+        id: edit.id,
+        type: edit.type,
+        page: edit.page,
+        target: edit.target,
+        reason: edit.reason,
+      }));
+      // Merge into metadata.json as it is now, so settings saved while the
+      // pages were replaced are kept
+      const latestMetadata = JSON.parse(
+        await fs.readFile(metadataPath, "utf8")
+      );
+      const refreshedMetadata = {
+        ...latestMetadata,
+        method: result.metadata.method,
         assets: await this.getAssetsList(path.join(siteDir, "assets")),
+        assetManifest: result.metadata.assetManifest,
+        pages: result.metadata.pages,
+        screenshots:
+          result.metadata.screenshots || metadata.screenshots || null,
+        trackers: result.metadata.trackers || metadata.trackers || null,
+        fetch: result.metadata.fetch,
+        skippedAssets: result.metadata.skippedAssets,
+        failedAssets: result.metadata.failedAssets,
+        staticSnapshot: result.metadata.staticSnapshot,
+        forms: forms,
+        skippedPages: result.metadata.skippedPages,
+        refreshedAt: refreshedAt,
+        lastRefresh: {
+          at: refreshedAt,
+          editsApplied: applied.length,
+          editsFailed: failedEdits,
+        },
       };
+      if (result.metadata.capturedResponses !== undefined) {
+        refreshedMetadata.capturedResponses = result.metadata.capturedResponses;
+      }
       await fs.writeFile(
-        path.join(siteDir, "metadata.json"),
-        JSON.stringify(metadata, null, 2)
+        metadataPath,
+        JSON.stringify(refreshedMetadata, null, 2)
       );
+      const version = await createVersion(siteDir, {
+        author: "system",
+        summary: `Refreshed from ${metadata.originalUrl}`,
+      });
 
       return {
         success: true,
         siteId: siteId,
-        path: siteDir,
-        metadata: metadata,
-        method: "axios-fallback",
-      };
-    } catch (error) {
-      console.error("Axios cloning error:", error);
-      return {
-        success: false,
-        error: error.message,
-        method: "axios-fallback",
+        version: version.id,
+        method: result.metadata.method,
+        pages: result.metadata.pages,
+        diff: diff,
+        editsApplied: applied.length,
+        editsFailed: failedEdits,
+        // Edits made before edits were recorded cannot be re-applied
+        unrecordedEdits: Boolean(metadata.lastEdited) && edits.length === 0,
+        backup: path.basename(backupDir),
       };
+    } finally {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+    }
+  }
+
+  // Remove the oldest refresh backups of a site beyond MAX_REFRESH_BACKUPS
+  async pruneRefreshBackups(siteId) {
+    const backupsDir = path.join(getSiteDataDir(siteId), REFRESH_BACKUPS_DIR);
+    const backups = (await fs.readdir(backupsDir)).sort(
+      (a, b) => Number(a) - Number(b)
+    );
+    for (const backup of backups.slice(0, -MAX_REFRESH_BACKUPS)) {
+      await fs.rm(path.join(backupsDir, backup), {
+        recursive: true,
+        force: true,
+      });
     }
   }
 
@@ -561,9 +2418,22 @@ class WebsiteCloner {
 
 // API Endpoints
 const cloner = new WebsiteCloner();
+const cloneJobs = new CloneJobService(
+  cloner,
+  parseInt(process.env.CLONE_JOB_CONCURRENCY) || 1
+);
 
 app.post("/clone-website", async (req, res) => {
-  const { url, name } = req.body;
+  const {
+    url,
+    name,
+    crawl,
+    options,
+    stripTrackers,
+    staticSnapshot,
+    fetch,
+    wait,
+  } = req.body;
 
   if (!url) {
     return res.status(400).json({ error: "URL is required" });
@@ -573,21 +2443,188 @@ app.post("/clone-website", async (req, res) => {
     return res.status(400).json({ error: "Website name is required" });
   }
 
-  console.log(`Starting to clone website: ${url}`);
+  try {
+    cloner.getBrowserOptions(options, url);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Scripts can still block until the clone finishes by passing wait: true
+  if (wait) {
+    console.log(`Starting to clone website: ${url}`);
+
+    try {
+      const result = await cloner.cloneWebsite(url, name, {
+        crawl,
+        browser: options,
+        stripTrackers,
+        staticSnapshot,
+        fetch,
+      });
+      console.log(`Clone result:`, result);
+      return res.json(result);
+    } catch (error) {
+      console.error("API endpoint error:", error);
+      console.error("Error stack:", error.stack);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  const job = cloneJobs.createJob({
+    url,
+    name,
+    options: { crawl, browser: options, stripTrackers, staticSnapshot, fetch },
+  });
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/clone-jobs/${job.id}`,
+    eventsUrl: `/clone-jobs/${job.id}/events`,
+  });
+});
+
+// Import a site from an uploaded HTML file, ZIP archive, MHTML archive or the
+// files of a "Webpage, Complete" save
+app.post("/clone-website/upload", handleSiteUpload, async (req, res) => {
+  const { name, url: sourceUrl, wait } = req.body;
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({ error: "At least one file is required" });
+  }
+
+  if (!name) {
+    return res.status(400).json({ error: "Website name is required" });
+  }
+
+  if (sourceUrl && !/^https?:\/\//i.test(sourceUrl)) {
+    return res.status(400).json({ error: "Source URL must be http(s)" });
+  }
 
+  // Multipart fields arrive as strings
+  let crawl;
+  let fetchOptions;
+  let staticSnapshot;
+  let upload;
   try {
-    const result = await cloner.cloneWebsite(url, name);
-    console.log(`Clone result:`, result);
-    res.json(result);
+    crawl = req.body.crawl ? JSON.parse(req.body.crawl) : undefined;
+    fetchOptions = req.body.fetch ? JSON.parse(req.body.fetch) : undefined;
+    staticSnapshot = req.body.staticSnapshot
+      ? JSON.parse(req.body.staticSnapshot)
+      : undefined;
+    upload = await readUploadedSite(files, sourceUrl);
   } catch (error) {
-    console.error("API endpoint error:", error);
-    console.error("Error stack:", error.stack);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: error.stack,
-    });
+    return res.status(400).json({ error: error.message });
+  }
+
+  console.log(
+    `📦 Importing uploaded site "${name}" (${upload.source.type}, ${files.length} file(s))`
+  );
+
+  const options = {
+    // Every uploaded page is saved unless crawl is set
+    crawl,
+    stripTrackers: req.body.stripTrackers === "true",
+    staticSnapshot,
+    fetch: fetchOptions,
+    strategy: new HtmlFetchStrategy(upload),
+  };
+
+  if (wait === "true") {
+    try {
+      const result = await cloner.cloneWebsite(upload.targetUrl, name, options);
+      console.log(`Upload import result:`, result);
+      return res.json(result);
+    } catch (error) {
+      console.error("Upload import error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  const job = cloneJobs.createJob({ url: upload.targetUrl, name, options });
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/clone-jobs/${job.id}`,
+    eventsUrl: `/clone-jobs/${job.id}/events`,
+  });
+});
+
+// Get the status of a clone job
+app.get("/clone-jobs/:jobId", (req, res) => {
+  const job = cloneJobs.getJob(req.params.jobId);
+
+  if (!job) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Clone job not found" });
+  }
+
+  res.json(job);
+});
+
+// Refresh, tracker stripping, asset health and visual comparison of sites
+const createSiteMaintenanceRoutes = require("./routes/site-maintenance");
+app.use(
+  "/",
+  createSiteMaintenanceRoutes({
+    cloner,
+    cloneJobs,
+    compareSiteVisually,
+    getComparisonsDir,
+  })
+);
+
+// Stream clone job updates as Server-Sent Events until the job finishes
+app.get("/clone-jobs/:jobId/events", (req, res) => {
+  const { jobId } = req.params;
+  const job = cloneJobs.getJob(jobId);
+
+  if (!job) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Clone job not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const sendUpdate = (snapshot) => {
+    res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+  };
+
+  // Always start with the current state so reconnecting clients catch up
+  sendUpdate(job);
+  if (cloneJobs.isFinished(job)) {
+    return res.end();
   }
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    cloneJobs.off("update", onUpdate);
+  };
+  const onUpdate = (snapshot) => {
+    if (snapshot.id !== jobId) return;
+    sendUpdate(snapshot);
+    if (cloneJobs.isFinished(snapshot)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  cloneJobs.on("update", onUpdate);
+  req.on("close", cleanup);
 });
 
 // Check if a website name already exists
@@ -639,13 +2676,24 @@ app.get("/cloned-sites", async (req, res) => {
   }
 });
 
-app.get("/preview/:siteId", async (req, res) => {
+app.get(["/preview/:siteId", "/preview/:siteId/*"], async (req, res) => {
   const { siteId } = req.params;
-  const htmlPath = path.join(cloner.outputDir, siteId, "index.html");
+  if (!isValidSiteId(siteId)) {
+    return res.status(400).json({ error: "Invalid site ID" });
+  }
+  const htmlPath = getSitePagePath(
+    path.join(cloner.outputDir, siteId),
+    req.params[0]
+  );
 
   try {
+    if (!htmlPath) throw new Error("Invalid page path");
     let html = await fs.readFile(htmlPath, "utf8");
 
+    // Keep navigation between crawled pages inside the preview
+    const pages = await getSitePages(path.join(cloner.outputDir, siteId));
+    html = rewritePageLinks(html, pages, `/preview/${siteId}/`);
+
     // Fix asset paths to work with our server setup
     html = html.replace(
       /src="\.\/assets\//g,
@@ -678,7 +2726,13 @@ app.get("/preview/:siteId", async (req, res) => {
       '<head><meta http-equiv="Content-Security-Policy" content="frame-ancestors \'self\';">'
     );
 
-    res.send(html);
+    // Serve the page as visitors get it. The editor's own preview frame
+    // (?editor=1) keeps the element IDs edits address elements by.
+    res.send(
+      await preparePublicPage(html, path.join(cloner.outputDir, siteId), {
+        keepElementIds: req.query.editor === "1",
+      })
+    );
   } catch (error) {
     res.status(404).json({ error: "Site not found" });
   }
@@ -690,10 +2744,16 @@ app.use("/public", express.static(path.join(__dirname, "public")));
 // Serve assets for each cloned site
 app.use("/cloned-sites/:siteId/assets", (req, res, next) => {
   const { siteId } = req.params;
+  if (!isValidSiteId(siteId)) return next();
   const assetsPath = path.join(__dirname, "cloned_sites", siteId, "assets");
   express.static(assetsPath)(req, res, next);
 });
 
+// Form submissions are routed before host-based routing so pages served on a
+// custom domain can post to /api/sites/:siteId/forms/:formId
+const formRoutes = require("./routes/forms");
+app.use("/", formRoutes);
+
 // Host-based routing middleware for custom domains
 app.use(async (req, res, next) => {
   try {
@@ -748,17 +2808,34 @@ app.use("/api", domainRoutes);
 // Route handler for custom domain sites (after host-based routing middleware rewrites URL)
 app.use("/site/:siteSlug", async (req, res, next) => {
   const { siteSlug } = req.params;
+  if (!isValidSiteId(siteSlug)) {
+    return res.status(404).send("Site not found");
+  }
   const sitePath = path.join(__dirname, "cloned_sites", siteSlug);
 
   try {
     // Check if site exists
     await fs.access(sitePath);
 
-    // Serve index.html for root requests or static files for asset requests
-    if (req.url === "/" || req.url === "") {
-      const htmlPath = path.join(sitePath, "index.html");
+    // Serve crawled pages (index.html for root requests) or static files for asset requests
+    const pages = await getSitePages(sitePath);
+    const requestPath = decodeURIComponent(req.path).replace(/^\/+/, "");
+    const page = pages.find(
+      (p) =>
+        p.path === requestPath ||
+        p.path === `${requestPath.replace(/\/+$/, "")}/index.html`
+    );
+    if (req.url === "/" || req.url === "" || page) {
+      const htmlPath = path.join(sitePath, page ? page.path : "index.html");
       let html = await fs.readFile(htmlPath, "utf8");
 
+      // Links between pages resolve against the domain root or the /site/slug prefix
+      html = rewritePageLinks(
+        html,
+        pages,
+        req.headers["x-site-slug"] ? "/" : `/site/${siteSlug}/`
+      );
+
       // Fix asset paths to work with the /site/slug prefix
       html = html.replace(
         /src="\.\/assets\//g,
@@ -781,10 +2858,10 @@ app.use("/site/:siteSlug", async (req, res, next) => {
         `<head><base href="/cloned-sites/${siteSlug}/">`
       );
 
-      res.send(html);
+      res.send(await preparePublicPage(html, sitePath));
     } else {
-      // Serve static files
-      express.static(sitePath)(req, res, next);
+      // Serve other pages and static files
+      serveSiteFolder(sitePath)(req, res, next);
     }
   } catch (error) {
     // Site doesn't exist
@@ -808,6 +2885,7 @@ app.use("/:siteName", async (req, res, next) => {
       "public",
       "cloned-sites",
       "clone-website",
+      "clone-jobs",
       "preview",
       "site",
       "domains",
@@ -823,8 +2901,8 @@ app.use("/:siteName", async (req, res, next) => {
     const sitePath = path.join(__dirname, "cloned_sites", siteName);
     await fs.access(sitePath);
 
-    // Serve the entire folder as static files
-    express.static(sitePath)(req, res, next);
+    // Serve the entire folder, pages prepared for visitors
+    serveSiteFolder(sitePath)(req, res, next);
   } catch (error) {
     // Site folder doesn't exist, continue to next middleware
     next();
@@ -834,8 +2912,9 @@ app.use("/:siteName", async (req, res, next) => {
 // Serve entire cloned site directories for any other files
 app.use("/cloned-sites/:siteId", (req, res, next) => {
   const { siteId } = req.params;
+  if (!isValidSiteId(siteId)) return next();
   const sitePath = path.join(__dirname, "cloned_sites", siteId);
-  express.static(sitePath)(req, res, next);
+  serveSiteFolder(sitePath)(req, res, next);
 });
 
 // Serve the landing page
@@ -1145,6 +3224,217 @@ app.get("/api/test-drive-connection", async (req, res) => {
   }
 });
 
+// Resolve a page of a cloned site to its HTML file, defaulting to the landing
+// page. Returns null for paths escaping the site folder or non-HTML files.
+function getSitePagePath(siteDir, page) {
+  const htmlPath = path.resolve(siteDir, page || "index.html");
+  if (
+    !htmlPath.startsWith(path.resolve(siteDir) + path.sep) ||
+    path.extname(htmlPath) !== ".html"
+  ) {
+    return null;
+  }
+  return htmlPath;
+}
+
+// Read the crawled page list from a site's metadata.json
+async function getSitePages(siteDir) {
+  try {
+    const metadata = JSON.parse(
+      await fs.readFile(path.join(siteDir, "metadata.json"), "utf8")
+    );
+    return metadata.pages || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Folder of a site's visual comparison images
+function getComparisonsDir(siteId) {
+  return path.join(getSiteDataDir(siteId), COMPARISONS_DIR);
+}
+
+// Compare a page of a cloned site (as served by the preview) with the page it
+// was cloned from. Screenshots and diff images are written to the site's
+// private data folder (site_data/<siteId>/comparisons/, served by
+// GET /api/sites/:siteId/comparisons/:file) and the report is recorded in
+// metadata.json as visualComparisons[page].
+async function compareSiteVisually(siteId, options) {
+  const siteDir = path.join(cloner.outputDir, siteId);
+  const metadataPath = path.join(siteDir, "metadata.json");
+  const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  const pages = metadata.pages || [
+    { url: metadata.originalUrl, path: "index.html" },
+  ];
+
+  const pagePath = options.page || "index.html";
+  const page = pages.find((item) => item.path === pagePath);
+  if (!page) {
+    const error = new Error(`Page ${pagePath} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  if (metadata.originalUrl === UPLOAD_BASE_URL) {
+    const error = new Error(
+      "This site was uploaded without a source URL and has no original to compare with"
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const clamp = (value, fallback, max) => {
+    const number = Number(value);
+    if (value === undefined || value === null || isNaN(number)) {
+      return fallback;
+    }
+    return Math.min(Math.max(number, 0), max);
+  };
+  const threshold = clamp(options.threshold, DEFAULT_PIXEL_THRESHOLD, 255);
+  const maxDiffPercentage = clamp(
+    options.maxDiffPercentage,
+    DEFAULT_MAX_DIFF_PERCENTAGE,
+    100
+  );
+
+  const previewPath =
+    pagePath === "index.html"
+      ? `/preview/${siteId}`
+      : `/preview/${siteId}/${pagePath}`;
+  const results = await compareVisually(
+    page.url || metadata.originalUrl,
+    `http://127.0.0.1:${PORT}${previewPath}`,
+    { devices: options.devices, threshold }
+  );
+
+  // Files of the latest comparison of each page, e.g.
+  // about_index-desktop-diff.png
+  const comparisonsDir = getComparisonsDir(siteId);
+  await fs.mkdir(comparisonsDir, { recursive: true });
+  const filePrefix = pagePath.replace(/\.html$/, "").replace(/[^\w-]+/g, "_");
+
+  const devices = [];
+  for (const result of results) {
+    const images = {};
+    for (const [name, buffer] of Object.entries(result.images)) {
+      const fileName = `${filePrefix}-${result.device}-${name}.png`;
+      await fs.writeFile(path.join(comparisonsDir, fileName), buffer);
+      images[name] = `/api/sites/${siteId}/comparisons/${fileName}`;
+    }
+    devices.push({
+      device: result.device,
+      viewport: result.viewport,
+      width: result.width,
+      height: result.height,
+      changedPixels: result.changedPixels,
+      diffPercentage: result.diffPercentage,
+      images,
+    });
+  }
+
+  const diffPercentage = Math.max(
+    ...devices.map((device) => device.diffPercentage)
+  );
+  const report = {
+    page: pagePath,
+    originalUrl: page.url || metadata.originalUrl,
+    previewUrl: previewPath,
+    comparedAt: new Date().toISOString(),
+    threshold,
+    maxDiffPercentage,
+    diffPercentage,
+    matches: diffPercentage <= maxDiffPercentage,
+    devices,
+  };
+
+  // Written in the site's queue, as the metadata may have been edited while
+  // the screenshots were taken
+  await updateSiteMetadata(siteDir, (latestMetadata) => {
+    latestMetadata.visualComparisons = {
+      ...(latestMetadata.visualComparisons || {}),
+      [pagePath]: report,
+    };
+  });
+
+  // Comparisons used to be saved in the served site folder
+  await fs.rm(path.join(siteDir, COMPARISONS_DIR), {
+    recursive: true,
+    force: true,
+  });
+
+  return report;
+}
+
+// Analytics settings of a site (see services/site-analytics.js), or null
+async function getSiteAnalytics(siteDir) {
+  try {
+    const metadata = JSON.parse(
+      await fs.readFile(path.join(siteDir, "metadata.json"), "utf8")
+    );
+    return metadata.analytics || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Point the site-root relative links between crawled pages (./about/index.html)
+// at the route the site is currently served from
+function rewritePageLinks(html, pages, prefix) {
+  for (const page of pages) {
+    html = html
+      .split(`href="./${page.path}`)
+      .join(`href="${prefix}${page.path}`);
+  }
+  return html;
+}
+
+// A page of a site as visitors get it: without the editor's element IDs
+// (unless keepElementIds is set) and with the site's own tracking snippets
+async function preparePublicPage(html, siteDir, { keepElementIds } = {}) {
+  if (!keepElementIds) {
+    const $ = cheerio.load(html);
+    stripEditorAttributes($);
+    html = $.html();
+  }
+  return injectAnalytics(html, await getSiteAnalytics(siteDir));
+}
+
+// Serve a site folder publicly. HTML pages (index.html for folder requests)
+// go through preparePublicPage, other files are served as they are.
+function serveSiteFolder(sitePath) {
+  const serveStatic = express.static(sitePath);
+
+  return async (req, res, next) => {
+    let requestPath;
+    try {
+      requestPath = decodeURIComponent(req.path);
+    } catch (error) {
+      return serveStatic(req, res, next);
+    }
+
+    // express.static redirects /site to /site/ so relative URLs resolve
+    const isFolder = requestPath.endsWith("/");
+    if (isFolder && !req.originalUrl.split("?")[0].endsWith("/")) {
+      return serveStatic(req, res, next);
+    }
+
+    const htmlPath = getSitePagePath(
+      sitePath,
+      isFolder ? `.${requestPath}index.html` : `.${requestPath}`
+    );
+    if (!htmlPath || !["GET", "HEAD"].includes(req.method)) {
+      return serveStatic(req, res, next);
+    }
+
+    let html;
+    try {
+      html = await fs.readFile(htmlPath, "utf8");
+    } catch (error) {
+      return next();
+    }
+    res.type("html").send(await preparePublicPage(html, sitePath));
+  };
+}
+
 // Helper function to get landing page content
 async function getLandingPageContent(siteId) {
   try {
@@ -1219,28 +3509,33 @@ async function getLandingPageContent(siteId) {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, async () => {
-  console.log(`🚀 Website Cloner API running on port ${PORT}`);
-
-  // Initialize services
-  await initializeServices();
-
-  console.log(`\n📝 Available endpoints:`);
-  console.log(`   • POST /clone-website - Clone a website`);
-  console.log(`   • GET /cloned-sites - List all cloned sites`);
-  console.log(`   • GET /preview/:siteId - Preview a cloned site`);
-  console.log(`   • GET /editor - Open the Editor Dashboard`);
-  console.log(`   • GET /create-ads - Create AI-powered ads`);
-  console.log(`   • GET /approve-ads - Ad approval interface`);
-  console.log(`   • GET /domains - Custom Domain Management`);
-  console.log(`   • POST /api/add-domain - Add custom domain`);
-  console.log(`   • GET /api/domains - List all domains`);
-  console.log(
-    `   • POST /api/sync-to-drive - Sync approved ads to Google Drive`
-  );
-  console.log(
-    `   • GET /api/test-drive-connection - Test Google Drive connection`
-  );
-});
+// Listen when run directly; tests require the module for WebsiteCloner
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log(`🚀 Website Cloner API running on port ${PORT}`);
+
+    // Initialize services
+    await initializeServices();
+
+    console.log(`\n📝 Available endpoints:`);
+    console.log(`   • POST /clone-website - Clone a website (queues a job)`);
+    console.log(`   • GET /clone-jobs/:id - Clone job status`);
+    console.log(`   • GET /clone-jobs/:id/events - Clone job progress stream`);
+    console.log(`   • GET /cloned-sites - List all cloned sites`);
+    console.log(`   • GET /preview/:siteId - Preview a cloned site`);
+    console.log(`   • GET /editor - Open the Editor Dashboard`);
+    console.log(`   • GET /create-ads - Create AI-powered ads`);
+    console.log(`   • GET /approve-ads - Ad approval interface`);
+    console.log(`   • GET /domains - Custom Domain Management`);
+    console.log(`   • POST /api/add-domain - Add custom domain`);
+    console.log(`   • GET /api/domains - List all domains`);
+    console.log(
+      `   • POST /api/sync-to-drive - Sync approved ads to Google Drive`
+    );
+    console.log(
+      `   • GET /api/test-drive-connection - Test Google Drive connection`
+    );
+  });
+}
 
 module.exports = { WebsiteCloner, app };
@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// Finished jobs are kept this long so reloaded pages can still read the result
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+/**
+ * Clone Job Service - Runs website clones (and refreshes of cloned sites) in
+ * the background and tracks their progress
+ *
+ * Jobs move through queued -> running -> done | failed and are kept in memory.
+ * Every change emits an "update" event with the job's public snapshot.
+ */
+class CloneJobService extends EventEmitter {
+  constructor(cloner, concurrency = 1) {
+    super();
+    this.cloner = cloner;
+    this.concurrency = concurrency;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    // Every open progress stream subscribes to "update"
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Queue a clone of a website, or with type "refresh" a refresh of the
+   * cloned site siteId (options.browser as accepted by refreshSite)
+   * @param {Object} params - { type, siteId, url, name, options } where
+   *   options are as accepted by cloneWebsite
+   * @returns {Object} - Job snapshot
+   */
+  createJob({ type = "clone", siteId = null, url, name, options = {} }) {
+    this.pruneFinishedJobs();
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      siteId,
+      status: "queued",
+      url,
+      name,
+      options,
+      stage: "Waiting for a free cloning slot",
+      progress: {
+        assetsDownloaded: 0,
+        assetsFailed: 0,
+        assetsSkipped: 0,
+        pagesSaved: 0,
+      },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    console.log(`🧾 ${this.getLabel(job)} job ${job.id} queued for ${url}`);
+
+    this.emitUpdate(job);
+    this.processQueue();
+    return this.toJSON(job);
+  }
+
+  /**
+   * Get a job snapshot by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job snapshot or null if unknown
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * Whether a job has reached a final state
+   */
+  isFinished(job) {
+    return job.status === "done" || job.status === "failed";
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+      this.runJob(job).finally(() => {
+        this.running--;
+        this.processQueue();
+      });
+    }
+  }
+
+  /**
+   * "Clone" or "Refresh", for stages and log messages
+   */
+  getLabel(job) {
+    return job.type === "refresh" ? "Refresh" : "Clone";
+  }
+
+  /**
+   * Run a single clone or refresh job and record its outcome
+   */
+  async runJob(job) {
+    const label = this.getLabel(job);
+    job.status = "running";
+    job.stage = `Starting ${label.toLowerCase()}`;
+    job.startedAt = new Date().toISOString();
+    this.emitUpdate(job);
+
+    try {
+      const onProgress = (event) => this.handleProgress(job, event);
+      const result =
+        job.type === "refresh"
+          ? await this.cloner.refreshSite(
+              job.siteId,
+              job.options.browser,
+              onProgress
+            )
+          : await this.cloner.cloneWebsite(job.url, job.name, {
+              ...job.options,
+              onProgress,
+            });
+
+      if (result && result.success) {
+        job.status = "done";
+        job.stage = `${label} completed`;
+        job.result = result;
+      } else {
+        job.status = "failed";
+        job.stage = `${label} failed`;
+        job.error = (result && result.error) || "Unknown error";
+        job.result = result;
+      }
+    } catch (error) {
+      console.error(`❌ ${label} job ${job.id} failed:`, error.message);
+      job.status = "failed";
+      job.stage = `${label} failed`;
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    console.log(`🧾 ${label} job ${job.id} finished with status ${job.status}`);
+    this.emitUpdate(job);
+  }
+
+  /**
+   * Apply a progress event reported by WebsiteCloner
+   */
+  handleProgress(job, event) {
+    if (this.isFinished(job)) return;
+
+    switch (event.type) {
+      case "stage":
+        job.stage = event.message;
+        break;
+      case "asset":
+        if (event.success) job.progress.assetsDownloaded++;
+        else job.progress.assetsFailed++;
+        break;
+      case "asset-skipped":
+        job.progress.assetsSkipped++;
+        break;
+      case "page":
+        job.progress.pagesSaved++;
+        break;
+      default:
+        return;
+    }
+
+    this.emitUpdate(job);
+  }
+
+  emitUpdate(job) {
+    this.emit("update", this.toJSON(job));
+  }
+
+  /**
+   * Drop finished jobs older than FINISHED_JOB_TTL
+   */
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL;
+    for (const [jobId, job] of this.jobs) {
+      if (this.isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  /**
+   * Public view of a job (the clone options stay internal)
+   */
+  toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      url: job.url,
+      name: job.name,
+      stage: job.stage,
+      progress: { ...job.progress },
+      siteId: job.siteId || (job.result ? job.result.siteId || null : null),
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+}
+
+module.exports = CloneJobService;
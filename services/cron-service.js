@@ -1,9 +1,11 @@
 const cron = require('node-cron');
 const Domain = require('../models/Domain');
 const DomainService = require('./domain-service');
+const { removeExpiredOperations } = require('./edit-operations');
 
 /**
- * Cron Service - Handles scheduled tasks for domain management
+ * Cron Service - Handles scheduled tasks for domain management and the
+ * cleanup of expired editor undo logs
  */
 class CronService {
   constructor() {
@@ -55,11 +57,20 @@ class CronService {
       timezone: 'UTC'
     });
 
+    // Task 5: Remove expired editor undo logs every day at 5 AM
+    const editorSessionsCleanupTask = cron.schedule('0 5 * * *', async () => {
+      await this.cleanupEditorSessions();
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
     // Store tasks
     this.tasks.set('pendingCheck', pendingCheckTask);
     this.tasks.set('sslCheck', sslCheckTask);
     this.tasks.set('sslRenewal', sslRenewalTask);
     this.tasks.set('cleanup', cleanupTask);
+    this.tasks.set('editorSessionsCleanup', editorSessionsCleanupTask);
 
     // Start all tasks
     this.tasks.forEach((task, name) => {
@@ -326,6 +337,19 @@ class CronService {
     }
   }
 
+  /**
+   * Remove the undo logs of editor sessions that have not been used for a while
+   */
+  async cleanupEditorSessions() {
+    try {
+      console.log('🧹 [CRON] Removing expired editor sessions...');
+      const removed = await removeExpiredOperations();
+      console.log(`📋 [CRON] Removed ${removed} expired editor sessions`);
+    } catch (error) {
+      console.error('❌ [CRON] Editor session cleanup failed:', error.message);
+    }
+  }
+
   /**
    * Get cron service status
    */
@@ -358,6 +382,9 @@ class CronService {
       case 'cleanup':
         await this.cleanupOldDomains();
         break;
+      case 'editorSessionsCleanup':
+        await this.cleanupEditorSessions();
+        break;
       default:
         throw new Error(`Unknown task: ${taskName}`);
     }
@@ -0,0 +1,299 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { SITE_DATA_DIR, getSiteDataDir } = require("./site-data");
+
+// Operation logs live in site_data/<siteId>/operations/<sessionId>, out of
+// the served site folder: log.json lists the operations and the page
+// contents before and after each one are stored beside it, named by their
+// SHA-256
+const OPERATIONS_DIR = "operations";
+
+// Editing sessions are identified by the X-Editor-Session header
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{8,64}$/;
+
+// Oldest operations of a session are dropped beyond this many
+const MAX_OPERATIONS = 100;
+
+// Logs of sessions not used for this long are removed by
+// removeExpiredOperations (run daily by the cron service)
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function createStatusError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function getSessionDir(siteDir, sessionId) {
+  if (!SESSION_ID_PATTERN.test(sessionId || "")) {
+    throw createStatusError("Invalid editor session", 400);
+  }
+  return path.join(getSiteDataDir(siteDir), OPERATIONS_DIR, sessionId);
+}
+
+async function readLog(sessionDir) {
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(sessionDir, "log.json"), "utf8")
+    );
+  } catch (error) {
+    return { operations: [] };
+  }
+}
+
+async function writeLog(sessionDir, log) {
+  log.updatedAt = new Date().toISOString();
+  await fs.mkdir(sessionDir, { recursive: true });
+  await fs.writeFile(
+    path.join(sessionDir, "log.json"),
+    JSON.stringify(log, null, 2)
+  );
+}
+
+async function storeContent(sessionDir, content) {
+  const hash = hashContent(content);
+  await fs.mkdir(sessionDir, { recursive: true });
+  await fs.writeFile(path.join(sessionDir, hash), content);
+  return hash;
+}
+
+// Remove the stored contents no remaining operation uses
+async function removeUnusedContent(sessionDir, log) {
+  const used = new Set();
+  for (const operation of log.operations) {
+    used.add(operation.before);
+    used.add(operation.after);
+  }
+
+  for (const name of await fs.readdir(sessionDir)) {
+    if (name !== "log.json" && !used.has(name)) {
+      await fs.unlink(path.join(sessionDir, name));
+    }
+  }
+}
+
+function describeOperation(operation) {
+  return {
+    id: operation.id,
+    type: operation.type,
+    page: operation.page,
+    summary: operation.summary,
+    at: operation.at,
+    undone: operation.undone,
+  };
+}
+
+/**
+ * Log an operation of an editing session. Operations undone in the session
+ * can no longer be redone once a new one is logged.
+ * @param {string} siteDir - Site folder
+ * @param {string} sessionId - Editing session
+ * @param {Object} operation - { type, page, summary, before, after, edits }
+ *   where before and after are the page's HTML and edits the entries the
+ *   operation added to metadata.json's edit log
+ * @returns {Promise<Object>} - The logged operation
+ */
+async function recordOperation(siteDir, sessionId, operation) {
+  const sessionDir = getSessionDir(siteDir, sessionId);
+  const log = await readLog(sessionDir);
+
+  const entry = {
+    id: (log.lastId || 0) + 1,
+    type: operation.type,
+    page: operation.page,
+    summary: operation.summary,
+    at: new Date().toISOString(),
+    undone: false,
+    before: await storeContent(sessionDir, operation.before),
+    after: await storeContent(sessionDir, operation.after),
+    edits: operation.edits || [],
+  };
+  log.lastId = entry.id;
+  log.operations = log.operations
+    .filter((item) => !item.undone)
+    .concat(entry)
+    .slice(-MAX_OPERATIONS);
+
+  await writeLog(sessionDir, log);
+  await removeUnusedContent(sessionDir, log);
+  return describeOperation(entry);
+}
+
+/**
+ * Get the operations of an editing session, newest first
+ * @returns {Promise<Object>} - { operations, canUndo, canRedo }
+ */
+async function getOperations(siteDir, sessionId) {
+  const log = await readLog(getSessionDir(siteDir, sessionId));
+  return {
+    operations: log.operations.map(describeOperation).reverse(),
+    canUndo: log.operations.some((item) => !item.undone),
+    canRedo: log.operations.some((item) => item.undone),
+  };
+}
+
+// Step an operation back (undo) or forward (redo): the page must still be
+// as the operation left it (or found it), so changes made since elsewhere
+// are never overwritten
+async function stepOperation(siteDir, sessionId, undo) {
+  const sessionDir = getSessionDir(siteDir, sessionId);
+  const log = await readLog(sessionDir);
+  const operation = undo
+    ? log.operations.filter((item) => !item.undone).pop()
+    : log.operations.find((item) => item.undone);
+  if (!operation) {
+    throw createStatusError(`Nothing to ${undo ? "undo" : "redo"}`, 409);
+  }
+
+  const pagePath = path.join(siteDir, operation.page);
+  let current;
+  try {
+    current = await fs.readFile(pagePath, "utf8");
+  } catch (error) {
+    current = null;
+  }
+  const expected = undo ? operation.after : operation.before;
+  if (current === null || hashContent(current) !== expected) {
+    throw createStatusError(
+      `${operation.page} was changed after this operation and cannot be ${
+        undo ? "undone" : "redone"
+      }`,
+      409
+    );
+  }
+
+  await fs.writeFile(
+    pagePath,
+    await fs.readFile(
+      path.join(sessionDir, undo ? operation.before : operation.after),
+      "utf8"
+    )
+  );
+
+  // Keep the edit log replayed on refresh in step with the page
+  const metadataPath = path.join(siteDir, "metadata.json");
+  const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  const editIds = operation.edits.map((edit) => edit.id);
+  metadata.edits = (metadata.edits || []).filter(
+    (edit) => !editIds.includes(edit.id)
+  );
+  if (!undo) {
+    metadata.edits.push(...operation.edits);
+  }
+  metadata.lastEdited = new Date().toISOString();
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+  operation.undone = undo;
+  await writeLog(sessionDir, log);
+  return describeOperation(operation);
+}
+
+/**
+ * Undo the latest operation of an editing session
+ * @returns {Promise<Object>} - The undone operation
+ * @throws {Error} - With statusCode 409 when there is nothing to undo or the
+ *   page changed since the operation
+ */
+function undoOperation(siteDir, sessionId) {
+  return stepOperation(siteDir, sessionId, true);
+}
+
+/**
+ * Redo the operation of an editing session undone last
+ * @returns {Promise<Object>} - The redone operation
+ * @throws {Error} - With statusCode 409 when there is nothing to redo or the
+ *   page changed since the undo
+ */
+function redoOperation(siteDir, sessionId) {
+  return stepOperation(siteDir, sessionId, false);
+}
+
+/**
+ * Remove the operation logs of sessions unused for SESSION_MAX_AGE, across
+ * all sites. Logs kept inside the site folders by earlier versions, where
+ * they were served with the site, are removed whatever their age.
+ * @param {string} [sitesDir] - Folder of the cloned sites
+ * @returns {Promise<number>} - How many session logs were removed
+ */
+async function removeExpiredOperations(sitesDir = "./cloned_sites") {
+  let removed = 0;
+
+  let siteIds = [];
+  try {
+    siteIds = await fs.readdir(SITE_DATA_DIR);
+  } catch (error) {
+    // No site has private data yet
+  }
+  for (const siteId of siteIds) {
+    const operationsDir = path.join(SITE_DATA_DIR, siteId, OPERATIONS_DIR);
+    let sessionIds;
+    try {
+      sessionIds = await fs.readdir(operationsDir);
+    } catch (error) {
+      continue;
+    }
+
+    for (const sessionId of sessionIds) {
+      const sessionDir = path.join(operationsDir, sessionId);
+      const log = await readLog(sessionDir);
+      if (
+        !log.updatedAt ||
+        Date.now() - new Date(log.updatedAt).getTime() > SESSION_MAX_AGE
+      ) {
+        await fs.rm(sessionDir, { recursive: true, force: true });
+        removed++;
+      }
+    }
+  }
+
+  let sites = [];
+  try {
+    sites = await fs.readdir(sitesDir);
+  } catch (error) {
+    // No site has been cloned yet
+  }
+  for (const site of sites) {
+    // A crawled site may have pages of its own under operations/, so only
+    // folders holding a session log are removed
+    const legacyDir = path.join(sitesDir, site, OPERATIONS_DIR);
+    let entries;
+    try {
+      entries = await fs.readdir(legacyDir);
+    } catch (error) {
+      continue;
+    }
+
+    for (const sessionId of entries) {
+      const sessionDir = path.join(legacyDir, sessionId);
+      if (!SESSION_ID_PATTERN.test(sessionId)) continue;
+      try {
+        await fs.access(path.join(sessionDir, "log.json"));
+      } catch (error) {
+        continue;
+      }
+      await fs.rm(sessionDir, { recursive: true, force: true });
+      removed++;
+    }
+    try {
+      await fs.rmdir(legacyDir);
+    } catch (error) {
+      // Not empty: the folder belongs to the site
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  SESSION_ID_PATTERN,
+  recordOperation,
+  getOperations,
+  undoOperation,
+  redoOperation,
+  removeExpiredOperations,
+};
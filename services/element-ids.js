@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+// Every element of a page carries a stable id the editor addresses it by
+const ELEMENT_ID_ATTRIBUTE = "data-editor-id";
+
+// Elements the editor never edits, so they get no id
+const UNADDRESSED_TAGS = [
+  "script",
+  "style",
+  "noscript",
+  "link",
+  "meta",
+  "base",
+  "br",
+  "wbr",
+];
+
+// Prefixes of the color targets listed by the content route, followed by the
+// element's id ("color_<id>_<n>" for inline colors)
+const COLOR_ID_PREFIXES = ["text_color_", "bg_color_", "class_color_"];
+
+// Attribute custom-colors.css selects recolored elements by
+const CLASS_COLOR_ATTRIBUTE = "data-editor-class-color-id";
+
+function createElementId(usedIds) {
+  let id;
+  do {
+    id = `el-${crypto.randomBytes(4).toString("hex")}`;
+  } while (usedIds.has(id));
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Give every element of a page without one a unique data-editor-id. Ids are
+ * random, so inserting or deleting elements never shifts the others; ids
+ * already on the page are kept, except on later duplicates (e.g. from pasted
+ * markup), which get new ones.
+ * @param {Object} $ - Cheerio document of the page
+ * @returns {number} - How many ids were assigned
+ */
+function assignElementIds($) {
+  const usedIds = new Set();
+  let assigned = 0;
+
+  $("body, body *").each((i, elem) => {
+    if (UNADDRESSED_TAGS.includes(elem.tagName)) return;
+
+    const id = $(elem).attr(ELEMENT_ID_ATTRIBUTE);
+    if (id && !usedIds.has(id)) {
+      usedIds.add(id);
+      return;
+    }
+    $(elem).attr(ELEMENT_ID_ATTRIBUTE, createElementId(usedIds));
+    assigned++;
+  });
+
+  return assigned;
+}
+
+/**
+ * Find an element by its id or by a color target id derived from it
+ * ("text_color_<id>", "bg_color_<id>", "class_color_<id>", "color_<id>_<n>")
+ * @returns {Object} - Cheerio selection (empty when nothing matches)
+ */
+function findElementById($, targetId) {
+  let id = String(targetId || "");
+  const prefix = COLOR_ID_PREFIXES.find((item) => id.startsWith(item));
+  if (prefix) {
+    id = id.slice(prefix.length);
+  } else if (/^color_.+_\d+$/.test(id)) {
+    id = id.replace(/^color_/, "").replace(/_\d+$/, "");
+  }
+
+  return $(`[${ELEMENT_ID_ATTRIBUTE}]`).filter(
+    (i, elem) => $(elem).attr(ELEMENT_ID_ATTRIBUTE) === id
+  );
+}
+
+/**
+ * Remove the data-editor-* attributes the editor adds to pages. Class-color
+ * IDs are kept for pages served with custom-colors.css, unless colorClasses
+ * is given, in which case each is replaced by its class.
+ * @param {Object} $ - Loaded page
+ * @param {Map} [colorClasses] - Class to add in place of each class-color ID
+ */
+function stripEditorAttributes($, colorClasses) {
+  $("*").each((i, elem) => {
+    const $elem = $(elem);
+    for (const name of Object.keys(elem.attribs || {})) {
+      if (!name.startsWith("data-editor-")) continue;
+
+      if (name === CLASS_COLOR_ATTRIBUTE) {
+        if (!colorClasses) continue;
+        const colorClass = colorClasses.get($elem.attr(name));
+        if (colorClass) $elem.addClass(colorClass);
+      }
+      $elem.removeAttr(name);
+    }
+  });
+}
+
+module.exports = {
+  ELEMENT_ID_ATTRIBUTE,
+  assignElementIds,
+  findElementById,
+  stripEditorAttributes,
+};
@@ -0,0 +1,268 @@
+const axios = require("axios");
+
+// Politeness defaults for the requests of a clone
+const DEFAULT_FETCH_OPTIONS = {
+  concurrency: 6, // requests in flight across all hosts
+  rateLimit: 5, // request starts per second and host (0 = unlimited)
+  retries: 2, // extra attempts after a 429, 5xx or network error
+  respectRobots: false, // skip URLs disallowed by the host's robots.txt
+};
+
+// Longest wait honoured from a Retry-After header
+const MAX_RETRY_AFTER = 60000;
+const RETRY_BASE_DELAY = 500;
+
+const RETRYABLE_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+];
+
+// Parse the groups of a robots.txt and keep the rules that apply to the user
+// agent: the group naming the longest part of it, otherwise the "*" group
+function parseRobots(text, userAgent) {
+  const groups = [];
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive User-agent lines share one group
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if (current && (field === "allow" || field === "disallow")) {
+      if (value) {
+        current.rules.push({ allow: field === "allow", pattern: value });
+      }
+    }
+  }
+
+  const agent = (userAgent || "").toLowerCase();
+  let best = null;
+  let bestLength = -1;
+  for (const group of groups) {
+    for (const name of group.agents) {
+      const length = name === "*" ? 0 : agent.includes(name) ? name.length : -1;
+      if (length > bestLength) {
+        best = group;
+        bestLength = length;
+      }
+    }
+  }
+  return best ? best.rules : [];
+}
+
+// Longest matching rule wins; Allow wins ties
+function isPathAllowed(rules, requestPath) {
+  let verdict = { allow: true, length: -1 };
+
+  for (const rule of rules) {
+    const anchored = rule.pattern.endsWith("$");
+    const source = (anchored ? rule.pattern.slice(0, -1) : rule.pattern)
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    if (!new RegExp(`^${source}${anchored ? "$" : ""}`).test(requestPath)) {
+      continue;
+    }
+
+    const length = rule.pattern.length;
+    if (length > verdict.length || (length === verdict.length && rule.allow)) {
+      verdict = { allow: rule.allow, length };
+    }
+  }
+
+  return verdict.allow;
+}
+
+// Delay requested by a Retry-After header (seconds or HTTP date), if any
+function getRetryAfter(headers) {
+  const value = headers && headers["retry-after"];
+  if (!value) return null;
+
+  const delay = /^\d+$/.test(value)
+    ? parseInt(value) * 1000
+    : new Date(value).getTime() - Date.now();
+  return isNaN(delay) ? null : Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+}
+
+/**
+ * Fetch Scheduler - Runs the HTTP requests of a clone politely
+ *
+ * Requests share a global concurrency limit and each host gets a minimum
+ * interval between request starts. 429, 5xx and network errors are retried
+ * with exponential backoff, honouring Retry-After (which also pauses the
+ * host). robots.txt is checked on demand when respectRobots is set.
+ */
+class FetchScheduler {
+  constructor(options = {}, userAgent = "") {
+    this.options = { ...DEFAULT_FETCH_OPTIONS, ...options };
+    this.userAgent = userAgent;
+    this.queue = [];
+    this.active = 0;
+    this.hosts = new Map();
+    this.robots = new Map();
+    this.timer = null;
+    this.timerAt = 0;
+  }
+
+  getHost(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { nextStartAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Run a request for a URL, retrying transient failures
+   * @param {string} requestUrl - URL the request goes to (for per-host limits)
+   * @param {Function} request - Starts the request; resolves to an axios response
+   * @returns {Promise<Object>} - The final response
+   */
+  async fetch(requestUrl, request) {
+    const host = new URL(requestUrl).host;
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+      try {
+        response = await this.schedule(host, request);
+      } catch (requestError) {
+        error = requestError;
+        response = requestError.response || null;
+      }
+
+      const status = response ? response.status : null;
+      const retryable = status
+        ? status === 429 || status >= 500
+        : error && RETRYABLE_ERROR_CODES.includes(error.code);
+      if (!retryable || attempt >= this.options.retries) {
+        if (error) throw error;
+        return response;
+      }
+
+      const retryAfter = response && getRetryAfter(response.headers);
+      const delay =
+        retryAfter !== null ? retryAfter : RETRY_BASE_DELAY * 2 ** attempt;
+      console.log(
+        `Retrying ${requestUrl} in ${delay}ms (${status || error.code})`
+      );
+
+      // Back off the whole host, not just this request
+      const hostState = this.getHost(host);
+      hostState.nextStartAt = Math.max(
+        hostState.nextStartAt,
+        Date.now() + delay
+      );
+    }
+  }
+
+  /**
+   * Run a task contacting a URL's host that fetch cannot retry (e.g. a
+   * browser navigation) within the concurrency and per-host limits
+   * @param {string} requestUrl - URL the task goes to (for per-host limits)
+   * @param {Function} task - Starts the task; returns a promise
+   * @returns {Promise} - What the task resolves to
+   */
+  run(requestUrl, task) {
+    return this.schedule(new URL(requestUrl).host, task);
+  }
+
+  // Queue a request until a slot is free and its host may be contacted again
+  schedule(host, request) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ host, request, resolve, reject });
+      this.pump();
+    });
+  }
+
+  pump() {
+    while (this.active < this.options.concurrency && this.queue.length > 0) {
+      const now = Date.now();
+      const index = this.queue.findIndex(
+        (item) => this.getHost(item.host).nextStartAt <= now
+      );
+
+      if (index === -1) {
+        // Every queued host is rate limited; wake up for the earliest one
+        const wakeAt = Math.min(
+          ...this.queue.map((item) => this.getHost(item.host).nextStartAt)
+        );
+        if (!this.timer || wakeAt < this.timerAt) {
+          clearTimeout(this.timer);
+          this.timerAt = wakeAt;
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+          }, wakeAt - now);
+        }
+        return;
+      }
+
+      const [item] = this.queue.splice(index, 1);
+      if (this.options.rateLimit > 0) {
+        this.getHost(item.host).nextStartAt =
+          now + 1000 / this.options.rateLimit;
+      }
+
+      this.active++;
+      Promise.resolve()
+        .then(item.request)
+        .then(item.resolve, item.reject)
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Whether robots.txt lets the cloner fetch a URL (always true unless
+   * respectRobots is set). Missing or unreadable robots.txt allows everything.
+   */
+  async isAllowed(requestUrl) {
+    if (!this.options.respectRobots) return true;
+
+    const { origin, pathname, search } = new URL(requestUrl);
+    if (!this.robots.has(origin)) {
+      this.robots.set(origin, this.loadRobots(origin));
+    }
+    return isPathAllowed(await this.robots.get(origin), pathname + search);
+  }
+
+  async loadRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const response = await this.fetch(robotsUrl, () =>
+        axios.get(robotsUrl, {
+          timeout: 10000,
+          responseType: "text",
+          headers: { "User-Agent": this.userAgent },
+          validateStatus: (status) => status < 500,
+        })
+      );
+      if (response.status >= 400) return [];
+      return parseRobots(String(response.data), this.userAgent);
+    } catch (error) {
+      console.warn(`Could not read ${robotsUrl}:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_FETCH_OPTIONS,
+  FetchScheduler,
+  parseRobots,
+  isPathAllowed,
+};
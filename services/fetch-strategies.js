@@ -0,0 +1,555 @@
+const { chromium, devices } = require("playwright");
+const axios = require("axios");
+
+// Device presets accepted in the clone options (Playwright context options)
+const DEVICE_PRESETS = {
+  desktop: {
+    viewport: { width: 1920, height: 1080 },
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+  },
+  tablet: devices["iPad (gen 7)"],
+  mobile: devices["iPhone 13"],
+};
+
+// Time given to the landing page / crawled pages to settle after loading,
+// unless the clone options set a delay
+const DEFAULT_RENDER_DELAY = 3000;
+const DEFAULT_CRAWL_RENDER_DELAY = 1000;
+
+// Responses that are pages or API calls rather than files to save
+const UNCAPTURED_RESOURCE_TYPES = [
+  "document",
+  "xhr",
+  "fetch",
+  "websocket",
+  "eventsource",
+  "ping",
+];
+
+// Screenshots taken of the rendered landing page
+const MOBILE_SCREENSHOT_VIEWPORT = { width: 390, height: 844 };
+const THUMBNAIL_SIZES = {
+  desktop: { width: 480, height: 270 },
+  mobile: { width: 195, height: 422 },
+};
+
+// Runs in the page when the flatten option is set, so page.content() includes
+// what it would otherwise miss. Same-origin iframes get their own flattened
+// document in data-clone-frame-html (and its base URL in data-clone-frame),
+// canvases are snapshotted and open shadow roots are written out as
+// declarative shadow DOM. Canvases are only marked with the URL their snapshot
+// is saved under (data-clone-canvas) so the live page and its screenshots are
+// unchanged. Returns the snapshots as data URLs.
+function flattenDocumentInPage({ firstSnapshot }) {
+  const snapshots = [];
+
+  // A document and all the open shadow roots inside it, outermost first
+  const getRoots = (root) => {
+    const roots = [root];
+    for (const element of root.querySelectorAll("*")) {
+      if (element.shadowRoot) roots.push(...getRoots(element.shadowRoot));
+    }
+    return roots;
+  };
+  const getAdoptedCss = (root) =>
+    (root.adoptedStyleSheets || [])
+      .map((sheet) =>
+        [...sheet.cssRules].map((rule) => rule.cssText).join("\n")
+      )
+      .join("\n");
+
+  const flatten = (doc) => {
+    const roots = getRoots(doc);
+
+    for (const root of roots) {
+      for (const iframe of root.querySelectorAll("iframe")) {
+        let frameDoc = null;
+        try {
+          frameDoc = iframe.contentDocument;
+        } catch (error) {
+          // Cross-origin frames cannot be read
+        }
+        if (!frameDoc || !frameDoc.documentElement) continue;
+
+        flatten(frameDoc);
+        iframe.setAttribute("data-clone-frame", frameDoc.baseURI);
+        iframe.setAttribute(
+          "data-clone-frame-html",
+          `<!DOCTYPE html>\n${frameDoc.documentElement.outerHTML}`
+        );
+      }
+
+      for (const canvas of root.querySelectorAll("canvas")) {
+        let dataUrl;
+        try {
+          dataUrl = canvas.toDataURL("image/png");
+        } catch (error) {
+          continue; // Tainted by cross-origin images
+        }
+
+        const snapshotUrl = new URL(
+          `/canvas-snapshot-${firstSnapshot + snapshots.length}.png`,
+          doc.baseURI
+        ).href;
+        snapshots.push({ url: snapshotUrl, dataUrl });
+        canvas.setAttribute("data-clone-canvas", snapshotUrl);
+      }
+    }
+
+    // Innermost shadow roots first, so the outer ones serialize with them
+    for (const root of roots.slice(1).reverse()) {
+      const template = doc.createElement("template");
+      template.setAttribute("shadowrootmode", "open");
+      if (root.delegatesFocus) {
+        template.setAttribute("shadowrootdelegatesfocus", "");
+      }
+      const css = getAdoptedCss(root);
+      template.innerHTML =
+        (css ? `<style>${css}</style>` : "") + root.innerHTML;
+      root.host.prepend(template);
+    }
+
+    const documentCss = getAdoptedCss(doc);
+    if (documentCss && doc.head) {
+      const style = doc.createElement("style");
+      style.textContent = documentCss;
+      doc.head.appendChild(style);
+    }
+  };
+
+  flatten(document);
+  return snapshots;
+}
+
+/**
+ * Fetch strategies load the landing page of a clone for WebsiteCloner's
+ * pipeline. `open(targetUrl, { browserOptions, scheduler, reportStage })`
+ * throws when the page cannot be loaded (so the next strategy is tried) or
+ * resolves to:
+ *
+ *   html              - landing page HTML
+ *   fetchPageHtml(url) - HTML of another page, used when crawling
+ *   pageUrls          - URLs of every other page known up front (uploads
+ *                       only), all crawled unless the clone sets `crawl`
+ *   responses         - Map<url, { body, contentType }> of assets already received
+ *   screenshots       - { full, desktop, mobile } image buffers, or null
+ *   getMetadata()     - strategy-specific fields for metadata.json
+ *   close()           - release the strategy's resources
+ *
+ * `name` is recorded as the clone method.
+ */
+
+/**
+ * Renders pages in headless Chromium and keeps the bytes of every asset the
+ * browser received
+ */
+// Refuse a landing page robots.txt disallows (checked with respectRobots);
+// crawled pages are checked by the cloner as they are found
+async function checkRobots(scheduler, targetUrl) {
+  if (!(await scheduler.isAllowed(targetUrl))) {
+    throw new Error(`${targetUrl} is disallowed by robots.txt`);
+  }
+}
+
+class PlaywrightFetchStrategy {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.name = "playwright";
+  }
+
+  async open(targetUrl, { browserOptions, scheduler, reportStage }) {
+    await checkRobots(scheduler, targetUrl);
+    console.log(`Launching browser for ${targetUrl}`);
+    reportStage("Launching browser");
+
+    let browser;
+    try {
+      browser = await chromium.launch({
+        headless: true,
+        timeout: 30000,
+        args: [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-dev-shm-usage",
+          "--disable-web-security",
+          "--disable-features=VizDisplayCompositor",
+        ],
+      });
+      console.log("Browser launched successfully");
+    } catch (launchError) {
+      console.error("Failed to launch browser:", launchError);
+      throw new Error(`Browser launch failed: ${launchError.message}`);
+    }
+
+    const close = async () => {
+      try {
+        await browser.close();
+        console.log("Browser closed successfully");
+      } catch (closeError) {
+        console.error("Error closing browser:", closeError);
+      }
+    };
+
+    try {
+      console.log("Creating new page...");
+      const context = await browser.newContext({
+        ...DEVICE_PRESETS[browserOptions.device],
+        extraHTTPHeaders: {
+          "Accept-Language": "en-US,en;q=0.9",
+          Accept:
+            "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+          ...browserOptions.headers,
+        },
+      });
+      if (browserOptions.cookies.length > 0) {
+        await context.addCookies(browserOptions.cookies);
+      }
+      if (browserOptions.blockTrackers || browserOptions.blockChatWidgets) {
+        await context.route("**/*", (route) => {
+          return this.cloner.getBlockedReason(
+            route.request().url(),
+            browserOptions
+          )
+            ? route.abort()
+            : route.continue();
+        });
+      }
+
+      // Set timeout for all page operations
+      context.setDefaultTimeout(60000);
+      const page = await context.newPage();
+
+      // Record the bytes of every subresource the browser receives, so assets
+      // are saved exactly as served even when they need cookies, a referer or
+      // signed URLs that a second request would not have
+      const responses = new Map();
+      const pendingCaptures = new Set();
+      page.on("response", (response) => {
+        const status = response.status();
+        if (
+          status < 200 ||
+          status >= 300 ||
+          UNCAPTURED_RESOURCE_TYPES.includes(response.request().resourceType())
+        ) {
+          return;
+        }
+
+        const capture = response
+          .body()
+          .then((body) => {
+            responses.set(response.url(), {
+              body,
+              contentType: response.headers()["content-type"] || "",
+            });
+          })
+          .catch(() => {
+            // Bodies of evicted or streamed responses are downloaded later instead
+          })
+          .finally(() => pendingCaptures.delete(capture));
+        pendingCaptures.add(capture);
+      });
+
+      console.log(`Navigating to ${targetUrl}...`);
+      reportStage(`Rendering ${targetUrl}`);
+
+      // Try multiple navigation strategies, within the clone's politeness
+      // limits
+      await scheduler.run(targetUrl, async () => {
+        try {
+          await page.goto(targetUrl, {
+            waitUntil: "networkidle",
+            timeout: 60000,
+          });
+        } catch (navError) {
+          console.log(
+            "First navigation attempt failed, trying with domcontentloaded..."
+          );
+          await page.goto(targetUrl, {
+            waitUntil: "domcontentloaded",
+            timeout: 30000,
+          });
+        }
+      });
+
+      console.log("Page loaded successfully");
+
+      // Wait a bit more for React/Next.js to fully render
+      await this.waitForPageReady(page, browserOptions, DEFAULT_RENDER_DELAY);
+
+      // Get the full HTML after JavaScript execution
+      const flattenState = { snapshots: 0 };
+      const html = await this.readPageHtml(
+        page,
+        browserOptions,
+        responses,
+        flattenState
+      );
+      await Promise.allSettled([...pendingCaptures]);
+
+      // Screenshot the landing page before the tab moves on to other pages
+      let screenshots = null;
+      try {
+        reportStage("Capturing screenshots");
+        screenshots = await this.captureScreenshots(context, page);
+      } catch (screenshotError) {
+        console.warn("Could not capture screenshots:", screenshotError.message);
+      }
+
+      // Further pages are rendered in the same tab when crawling
+      const fetchPageHtml = async (pageUrl) => {
+        const pageResponse = await scheduler.run(pageUrl, async () => {
+          try {
+            return await page.goto(pageUrl, {
+              waitUntil: "networkidle",
+              timeout: 30000,
+            });
+          } catch (navError) {
+            return page.goto(pageUrl, {
+              waitUntil: "domcontentloaded",
+              timeout: 30000,
+            });
+          }
+        });
+        if (pageResponse && pageResponse.status() >= 400) {
+          throw new Error(`HTTP ${pageResponse.status()}`);
+        }
+        await this.waitForPageReady(
+          page,
+          browserOptions,
+          DEFAULT_CRAWL_RENDER_DELAY
+        );
+        const pageHtml = await this.readPageHtml(
+          page,
+          browserOptions,
+          responses,
+          flattenState
+        );
+        await Promise.allSettled([...pendingCaptures]);
+        return pageHtml;
+      };
+
+      return {
+        html,
+        fetchPageHtml,
+        responses,
+        screenshots,
+        getMetadata: () => ({ capturedResponses: responses.size }),
+        close,
+      };
+    } catch (error) {
+      await close();
+      throw error;
+    }
+  }
+
+  // HTML of the rendered page. With the flatten option, shadow roots, iframes
+  // and canvases are serialized first and the canvas snapshots are added to
+  // the captured responses so they are saved like any other image.
+  async readPageHtml(page, browserOptions, responses, flattenState) {
+    if (browserOptions.flatten) {
+      try {
+        const snapshots = await page.evaluate(flattenDocumentInPage, {
+          firstSnapshot: flattenState.snapshots,
+        });
+        flattenState.snapshots += snapshots.length;
+        for (const snapshot of snapshots) {
+          responses.set(snapshot.url, {
+            body: Buffer.from(snapshot.dataUrl.split(",")[1], "base64"),
+            contentType: "image/png",
+          });
+        }
+      } catch (error) {
+        console.warn("Could not flatten page:", error.message);
+      }
+    }
+    return await page.content();
+  }
+
+  // Let a rendered page settle as the clone options ask: wait for a
+  // selector, scroll through it to trigger lazy loading, then pause
+  async waitForPageReady(page, browserOptions, defaultDelay) {
+    if (browserOptions.waitForSelector) {
+      try {
+        await page.waitForSelector(browserOptions.waitForSelector, {
+          timeout: 15000,
+        });
+      } catch (error) {
+        console.warn(
+          `Selector "${browserOptions.waitForSelector}" did not appear:`,
+          error.message
+        );
+      }
+    }
+
+    if (browserOptions.scrollToBottom) {
+      await page.evaluate(async () => {
+        // Bounded so infinite-scroll pages still finish
+        for (let step = 0; step < 100; step++) {
+          const previousOffset = window.scrollY;
+          window.scrollBy(0, window.innerHeight / 2);
+          await new Promise((resolve) => setTimeout(resolve, 150));
+          if (window.scrollY === previousOffset) break;
+        }
+        window.scrollTo(0, 0);
+      });
+    }
+
+    await page.waitForTimeout(
+      browserOptions.delay !== null ? browserOptions.delay : defaultDelay
+    );
+  }
+
+  // Full-page PNG plus desktop and mobile JPEG thumbnails of a rendered page
+  async captureScreenshots(context, page) {
+    const full = await page.screenshot({ fullPage: true, type: "png" });
+    const desktop = await page.screenshot({ type: "png" });
+
+    const viewport = page.viewportSize();
+    await page.setViewportSize(MOBILE_SCREENSHOT_VIEWPORT);
+    await page.waitForTimeout(500);
+    const mobile = await page.screenshot({ type: "png" });
+    await page.setViewportSize(viewport);
+
+    return {
+      full,
+      desktop: await this.createThumbnail(
+        context,
+        desktop,
+        THUMBNAIL_SIZES.desktop
+      ),
+      mobile: await this.createThumbnail(
+        context,
+        mobile,
+        THUMBNAIL_SIZES.mobile
+      ),
+    };
+  }
+
+  // Downscale a screenshot by rendering it in a tab of the thumbnail's size
+  async createThumbnail(context, image, { width, height }) {
+    const thumbnailPage = await context.newPage();
+    try {
+      await thumbnailPage.setViewportSize({ width, height });
+      const imageUrl = `data:image/png;base64,${image.toString("base64")}`;
+      await thumbnailPage.setContent(
+        `<body style="margin:0"><img src="${imageUrl}" style="display:block;width:100%"></body>`
+      );
+      return await thumbnailPage.screenshot({ type: "jpeg", quality: 80 });
+    } finally {
+      await thumbnailPage.close();
+    }
+  }
+}
+
+/**
+ * Downloads the raw HTML over HTTP (no JavaScript rendering)
+ */
+class AxiosFetchStrategy {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.name = "axios-fallback";
+  }
+
+  async open(targetUrl, { browserOptions, scheduler, reportStage }) {
+    await checkRobots(scheduler, targetUrl);
+    console.log(`Using axios fallback method for ${targetUrl}`);
+    reportStage(`Fetching ${targetUrl}`);
+
+    const requestOptions = {
+      timeout: 30000,
+      headers: {
+        Accept:
+          "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+        "Accept-Language": "en-US,en;q=0.9",
+        "Accept-Encoding": "gzip, deflate, br",
+        Connection: "keep-alive",
+        "Upgrade-Insecure-Requests": "1",
+        ...this.cloner.getRequestHeaders(browserOptions, targetUrl),
+      },
+      maxRedirects: 5,
+      validateStatus: function (status) {
+        return status < 500;
+      },
+    };
+
+    // Fetch the HTML with axios, within the clone's politeness limits
+    const get = (pageUrl) =>
+      scheduler.fetch(pageUrl, () => axios.get(pageUrl, requestOptions));
+    const response = await get(targetUrl);
+    console.log("HTML fetched successfully with axios");
+
+    return {
+      html: response.data,
+      fetchPageHtml: async (pageUrl) => {
+        const pageResponse = await get(pageUrl);
+        if (pageResponse.status >= 400) {
+          throw new Error(`HTTP ${pageResponse.status}`);
+        }
+        return pageResponse.data;
+      },
+      responses: new Map(),
+      screenshots: null,
+      getMetadata: () => ({}),
+      close: async () => {},
+    };
+  }
+}
+
+/**
+ * Uses HTML that was provided up front (e.g. uploaded by the user). Further
+ * pages and asset bytes can be supplied keyed by absolute URL; anything else
+ * is fetched from the network relative to the target URL. `source` describes
+ * where the HTML came from and is recorded as metadata.upload.
+ */
+class HtmlFetchStrategy {
+  constructor({ html, pages = new Map(), responses = new Map(), source }) {
+    this.html = html;
+    this.pages = pages;
+    this.responses = responses;
+    this.source = source || null;
+    this.name = "upload";
+  }
+
+  // Supplied page for a URL, treating /dir/ as /dir/index.html
+  findPage(pageUrl) {
+    const parsed = new URL(pageUrl);
+    parsed.search = "";
+    parsed.hash = "";
+    const candidates = [pageUrl, parsed.href];
+    if (parsed.pathname.endsWith("/")) {
+      candidates.push(new URL("index.html", parsed).href);
+      candidates.push(new URL("index.htm", parsed).href);
+    }
+
+    const match = candidates.find((candidate) => this.pages.has(candidate));
+    return match ? this.pages.get(match) : null;
+  }
+
+  async open(targetUrl, { reportStage }) {
+    reportStage("Reading uploaded HTML");
+
+    return {
+      html: this.html,
+      fetchPageHtml: async (pageUrl) => {
+        const html = this.findPage(pageUrl);
+        if (html === null) {
+          throw new Error("Page is not part of the upload");
+        }
+        return html;
+      },
+      pageUrls: [...this.pages.keys()],
+      responses: this.responses,
+      screenshots: null,
+      getMetadata: () => ({ upload: this.source }),
+      close: async () => {},
+    };
+  }
+}
+
+module.exports = {
+  DEVICE_PRESETS,
+  PlaywrightFetchStrategy,
+  AxiosFetchStrategy,
+  HtmlFetchStrategy,
+};
@@ -0,0 +1,326 @@
+const fs = require("fs").promises;
+const path = require("path");
+const axios = require("axios");
+const { getSiteDataDir } = require("./site-data");
+
+// Settings every detected form starts with: submissions go to the original
+// action until capture is turned on
+const DEFAULT_FORM_SETTINGS = {
+  capture: false,
+  redirectUrl: null,
+};
+
+// Webhook URLs may carry secrets, so they are kept out of metadata.json (which
+// is served with the site) in site_data/<siteId>/, keyed by form id
+const FORM_WEBHOOKS_FILE = "form-webhooks.json";
+
+// Inputs that never carry a submitted value worth listing
+const NON_DATA_INPUT_TYPES = ["submit", "button", "image", "reset"];
+
+const FORM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,100}$/;
+
+// Path captured forms post to (served by routes/forms.js)
+function getSubmitPath(siteId, formId) {
+  return `/api/sites/${siteId}/forms/${formId}`;
+}
+
+/**
+ * Give every form of a page a stable id (data-form-id, e.g. "about-index-1")
+ * and describe it. Forms that already have an id keep it.
+ * @param {Object} $ - Cheerio document of the page
+ * @param {string} pageUrl - URL the page was cloned from, to resolve actions
+ * @param {string} pagePath - Path of the page inside the site folder
+ * @returns {Array} - [{ id, page, action, method, fields: [{ name, type }] }]
+ */
+function detectForms($, pageUrl, pagePath) {
+  const prefix =
+    pagePath
+      .replace(/\.html?$/i, "")
+      .replace(/[^a-zA-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "index";
+  const usedIds = new Set(
+    $("form[data-form-id]")
+      .map((i, elem) => $(elem).attr("data-form-id"))
+      .get()
+  );
+
+  let next = 1;
+  return $("form")
+    .map((i, elem) => {
+      const form = $(elem);
+      let id = form.attr("data-form-id");
+      if (!id) {
+        do {
+          id = `${prefix}-${next++}`;
+        } while (usedIds.has(id));
+        usedIds.add(id);
+        form.attr("data-form-id", id);
+      }
+
+      // Rerouted forms keep what they originally did in data-original-*
+      const rerouted = form.attr("data-original-action") !== undefined;
+      const originalAction = rerouted
+        ? form.attr("data-original-action")
+        : form.attr("action") || "";
+      let action;
+      try {
+        action = new URL(originalAction, pageUrl).href;
+      } catch (error) {
+        action = originalAction;
+      }
+
+      const fields = [];
+      form
+        .find("input[name], select[name], textarea[name]")
+        .each((j, input) => {
+          const name = $(input).attr("name");
+          const type = (
+            $(input).attr("type") ||
+            (input.tagName === "input" ? "text" : input.tagName)
+          ).toLowerCase();
+          if (NON_DATA_INPUT_TYPES.includes(type)) return;
+          if (!fields.some((field) => field.name === name)) {
+            fields.push({ name, type });
+          }
+        });
+
+      return {
+        id,
+        page: pagePath,
+        action,
+        method: (
+          (rerouted
+            ? form.attr("data-original-method")
+            : form.attr("method")) || "get"
+        ).toLowerCase(),
+        fields,
+      };
+    })
+    .get();
+}
+
+/**
+ * Read the webhook URLs of a site's forms
+ * @param {string} siteId - Site ID
+ * @returns {Promise<Object>} - { [formId]: webhookUrl }
+ */
+async function readFormWebhooks(siteId) {
+  try {
+    return JSON.parse(
+      await fs.readFile(
+        path.join(getSiteDataDir(siteId), FORM_WEBHOOKS_FILE),
+        "utf8"
+      )
+    );
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save the webhook URLs of a site's forms
+ * @param {string} siteId - Site ID
+ * @param {Object} webhooks - { [formId]: webhookUrl }
+ */
+async function writeFormWebhooks(siteId, webhooks) {
+  const dataDir = getSiteDataDir(siteId);
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(
+    path.join(dataDir, FORM_WEBHOOKS_FILE),
+    JSON.stringify(webhooks, null, 2)
+  );
+}
+
+/**
+ * Move webhook URLs recorded in metadata.json (by earlier versions, or by a
+ * restored version of the site) to the private store. Webhooks already
+ * stored for a form are kept.
+ * @param {string} siteId - Site ID
+ * @param {Array} [forms] - Forms recorded in metadata.json
+ */
+async function moveFormWebhooks(siteId, forms = []) {
+  const recorded = forms.filter((form) => form.webhookUrl);
+  if (recorded.length === 0) return;
+
+  const webhooks = await readFormWebhooks(siteId);
+  for (const form of recorded) {
+    if (!webhooks[form.id]) webhooks[form.id] = form.webhookUrl;
+  }
+  await writeFormWebhooks(siteId, webhooks);
+}
+
+/**
+ * Combine freshly detected forms with the settings recorded for them
+ * @param {Array} detected - Forms from detectForms
+ * @param {Array} [previous] - Forms recorded in metadata.json
+ * @returns {Array} - Detected forms with their settings (defaults for new ones)
+ */
+function mergeFormSettings(detected, previous = []) {
+  return detected.map((form) => {
+    const recorded =
+      previous.find((item) => item.id === form.id) || DEFAULT_FORM_SETTINGS;
+    return {
+      ...form,
+      capture: Boolean(recorded.capture),
+      redirectUrl: recorded.redirectUrl || null,
+    };
+  });
+}
+
+/**
+ * Point a form at the submission endpoint, remembering its original action
+ * and method so it can be restored
+ * @returns {boolean} - Whether the page has the form
+ */
+function rerouteForm($, formId, submitPath) {
+  const form = $("form").filter(
+    (i, elem) => $(elem).attr("data-form-id") === formId
+  );
+  if (form.length === 0) return false;
+
+  if (form.attr("data-original-action") === undefined) {
+    form.attr("data-original-action", form.attr("action") || "");
+    form.attr("data-original-method", form.attr("method") || "");
+  }
+  form.attr("action", submitPath);
+  form.attr("method", "post");
+  return true;
+}
+
+/**
+ * Undo rerouteForm
+ * @returns {boolean} - Whether the page has the form
+ */
+function restoreForm($, formId) {
+  const form = $("form").filter(
+    (i, elem) => $(elem).attr("data-form-id") === formId
+  );
+  if (form.length === 0) return false;
+  if (form.attr("data-original-action") === undefined) return true;
+
+  for (const attribute of ["action", "method"]) {
+    const original = form.attr(`data-original-${attribute}`);
+    if (original) form.attr(attribute, original);
+    else form.removeAttr(attribute);
+    form.removeAttr(`data-original-${attribute}`);
+  }
+  return true;
+}
+
+/**
+ * Validate the settings of a form from a request
+ * @param {Object} input - { capture, webhookUrl, redirectUrl }
+ * @param {Object} current - The form's recorded settings and webhook URL
+ * @returns {Object} - { capture, webhookUrl, redirectUrl }
+ * @throws {Error} - When a URL is invalid
+ */
+function normalizeFormSettings(input = {}, current = DEFAULT_FORM_SETTINGS) {
+  const settings = {
+    capture:
+      input.capture !== undefined ? Boolean(input.capture) : current.capture,
+  };
+
+  for (const field of ["webhookUrl", "redirectUrl"]) {
+    const value =
+      input[field] !== undefined ? input[field] : current[field] || null;
+    if (value && !/^https?:\/\//i.test(String(value))) {
+      throw new Error(`${field} must be an http(s) URL`);
+    }
+    settings[field] = value ? String(value) : null;
+  }
+
+  return settings;
+}
+
+// Quote a CSV value; values starting like a formula are prefixed so
+// spreadsheets do not evaluate submitted text
+function csvValue(value) {
+  let text;
+  if (value === null || value === undefined) text = "";
+  else if (Array.isArray(value)) text = value.join("; ");
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format submissions as CSV: one column per field (the form's own fields
+ * first, then any other submitted names)
+ * @param {Array} submissions - FormSubmission documents
+ * @param {Array} [fields] - Fields recorded for the form
+ * @returns {string} - CSV text
+ */
+function formatSubmissionsCsv(submissions, fields = []) {
+  const columns = fields.map((field) => field.name);
+  for (const submission of submissions) {
+    for (const name of Object.keys(submission.data || {})) {
+      if (!columns.includes(name)) columns.push(name);
+    }
+  }
+
+  const rows = [["submittedAt", "page", ...columns].map(csvValue).join(",")];
+  for (const submission of submissions) {
+    const data = submission.data || {};
+    rows.push(
+      [
+        submission.createdAt.toISOString(),
+        submission.page,
+        ...columns.map((name) => data[name]),
+      ]
+        .map(csvValue)
+        .join(",")
+    );
+  }
+  return rows.join("\r\n") + "\r\n";
+}
+
+/**
+ * Forward a submission to a form's webhook as JSON
+ * @returns {Promise<Object>} - { url, status, error, attemptedAt }
+ */
+async function forwardSubmission(webhookUrl, submission) {
+  const result = {
+    url: webhookUrl,
+    status: null,
+    error: null,
+    attemptedAt: new Date(),
+  };
+
+  try {
+    const response = await axios.post(
+      webhookUrl,
+      {
+        siteId: submission.siteId,
+        formId: submission.formId,
+        page: submission.page,
+        data: submission.data,
+        files: submission.files,
+        submittedAt: submission.createdAt,
+      },
+      { timeout: 10000 }
+    );
+    result.status = response.status;
+  } catch (error) {
+    result.status = error.response ? error.response.status : null;
+    result.error = error.message;
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_FORM_SETTINGS,
+  FORM_ID_PATTERN,
+  getSubmitPath,
+  detectForms,
+  mergeFormSettings,
+  readFormWebhooks,
+  writeFormWebhooks,
+  moveFormWebhooks,
+  rerouteForm,
+  restoreForm,
+  normalizeFormSettings,
+  formatSubmissionsCsv,
+  forwardSubmission,
+};
@@ -0,0 +1,316 @@
+const vm = require("vm");
+
+// Ways a link-rewrite rule can match a link
+const RULE_TYPES = ["domain", "pathPrefix", "regex", "text"];
+
+// UTM parameters a rule may append to its replacement URL
+const UTM_FIELDS = ["source", "medium", "campaign", "term", "content"];
+
+const MAX_RULES = 100;
+
+// Regex rules run against every link of every page, so they are kept short
+// and free of the constructs that backtrack exponentially
+const MAX_REGEX_LENGTH = 200;
+const BACKREFERENCE = /\\(?:[1-9]|k<)/;
+
+// Longest part of a link URL a regex rule is tested against
+const MAX_MATCHED_URL_LENGTH = 2048;
+
+// Patterns passing the checks can still backtrack polynomially (.*a.*b takes
+// seconds on a long URL), so each test runs in a VM context within this time
+// budget; a rule that runs out of time stops matching for the rest of the page
+const REGEX_TIME_BUDGET = 50; // ms
+const regexContext = vm.createContext({});
+const regexTest = new vm.Script("pattern.test(value)");
+
+// The first construct of a pattern that could backtrack for too long: a
+// repeated group holding a quantifier or alternatives, e.g. (a+)+, (a|a)* or
+// (.*a){12}, or an unbounded quantifier stacked right after another, e.g.
+// .*.* or \w+\w+. Returns a description, or null for safe patterns.
+function findUnsafeConstruct(value) {
+  const groups = [{ quantified: false, alternates: false }];
+  // Start index (and group, for groups) of the atom a quantifier applies to
+  let atom = null;
+  let unboundedEnd = -1;
+
+  for (let i = 0; i < value.length; i++) {
+    const quantifier = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/.exec(value.slice(i));
+    if (quantifier && atom) {
+      const repeats = quantifier[0][0] !== "?";
+      const unbounded = /^(?:[*+]|\{\d+,\})/.test(quantifier[0]);
+      if (repeats && atom.group && atom.group.quantified) {
+        return "repeat a group containing a quantifier";
+      }
+      if (repeats && atom.group && atom.group.alternates) {
+        return "repeat a group containing alternatives";
+      }
+      if (unbounded && atom.start === unboundedEnd) {
+        return "stack unbounded quantifiers";
+      }
+
+      groups[groups.length - 1].quantified = true;
+      i += quantifier[0].length - 1;
+      if (unbounded) unboundedEnd = i + 1;
+      atom = null;
+      continue;
+    }
+
+    const char = value[i];
+    const start = i;
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      while (i < value.length - 1 && value[++i] !== "]") {
+        if (value[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      const prefix = /^\(\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(value.slice(i));
+      if (prefix) i += prefix[0].length - 1;
+      groups.push({ start, quantified: false, alternates: false });
+      atom = null;
+      continue;
+    } else if (char === ")" && groups.length > 1) {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || group.quantified;
+      parent.alternates = parent.alternates || group.alternates;
+      atom = { start: group.start, group };
+      continue;
+    } else if (char === "|") {
+      groups[groups.length - 1].alternates = true;
+      atom = null;
+      continue;
+    } else if (char === "^" || char === "$") {
+      atom = null;
+      continue;
+    }
+    atom = { start, group: null };
+  }
+  return null;
+}
+
+// Compile a regex rule, rejecting patterns that could hang the server
+function compileRulePattern(value, label) {
+  if (value.length > MAX_REGEX_LENGTH) {
+    throw new Error(
+      `${label}: regex must be at most ${MAX_REGEX_LENGTH} characters`
+    );
+  }
+  const unsafe = findUnsafeConstruct(value);
+  if (unsafe) {
+    throw new Error(`${label}: regex must not ${unsafe}`);
+  }
+  if (BACKREFERENCE.test(value)) {
+    throw new Error(`${label}: regex must not use backreferences`);
+  }
+
+  try {
+    return new RegExp(value);
+  } catch (error) {
+    throw new Error(`${label}: invalid regex (${error.message})`);
+  }
+}
+
+/**
+ * Validate link-rewrite rules from a request. Each rule is
+ * { type: "domain" | "pathPrefix" | "regex" | "text", value, url, utm? }
+ * where utm may set source, medium, campaign, term and content. Regex rules
+ * carry their compiled RegExp as a non-enumerable `pattern`, so it is not
+ * saved with them.
+ * @param {Array} input - Rules in priority order (the first match wins)
+ * @returns {Array} - Normalized rules
+ * @throws {Error} - When a rule is invalid
+ */
+function normalizeLinkRules(input) {
+  if (!Array.isArray(input)) {
+    throw new Error("rules must be an array");
+  }
+  if (input.length > MAX_RULES) {
+    throw new Error(`At most ${MAX_RULES} rules are allowed`);
+  }
+
+  return input.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      throw new Error(`${label}: type must be one of ${RULE_TYPES.join(", ")}`);
+    }
+
+    const value = String(rule.value || "").trim();
+    if (!value) {
+      throw new Error(`${label}: value is required`);
+    }
+    const pattern =
+      rule.type === "regex" ? compileRulePattern(value, label) : null;
+
+    const url = String(rule.url || "").trim();
+    if (!/^https?:\/\//i.test(url)) {
+      throw new Error(`${label}: url must be an http(s) URL`);
+    }
+
+    const utm = {};
+    for (const field of UTM_FIELDS) {
+      const utmValue = rule.utm && rule.utm[field];
+      if (utmValue) utm[field] = String(utmValue).trim();
+    }
+
+    const normalized = {
+      type: rule.type,
+      value: rule.type === "domain" ? value.toLowerCase() : value,
+      url,
+      utm: Object.keys(utm).length > 0 ? utm : null,
+    };
+    if (pattern) {
+      Object.defineProperty(normalized, "pattern", { value: pattern });
+    }
+    return normalized;
+  });
+}
+
+// Replacement URL of a rule with its UTM parameters appended (parameters the
+// URL already has are kept)
+function getRuleUrl(rule) {
+  if (!rule.utm) return rule.url;
+
+  const target = new URL(rule.url);
+  for (const [field, value] of Object.entries(rule.utm)) {
+    if (!target.searchParams.has(`utm_${field}`)) {
+      target.searchParams.set(`utm_${field}`, value);
+    }
+  }
+  return target.href;
+}
+
+// Test a regex rule against a URL within REGEX_TIME_BUDGET. Rules that ran
+// out of time are recorded in timedOutRules and no longer tested.
+function testRulePattern(rule, value, timedOutRules) {
+  if (timedOutRules.has(rule)) return false;
+
+  regexContext.pattern = rule.pattern;
+  regexContext.value = value.slice(0, MAX_MATCHED_URL_LENGTH);
+  try {
+    return regexTest.runInContext(regexContext, {
+      timeout: REGEX_TIME_BUDGET,
+    });
+  } catch (error) {
+    if (error.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error;
+    console.warn(`Link rule regex ${rule.value} took too long; skipping it`);
+    timedOutRules.add(rule);
+    return false;
+  } finally {
+    regexContext.pattern = null;
+    regexContext.value = null;
+  }
+}
+
+function matchesRule(rule, linkUrl, text, timedOutRules) {
+  switch (rule.type) {
+    case "domain":
+      if (!linkUrl) return false;
+      return (
+        linkUrl.hostname === rule.value ||
+        linkUrl.hostname.endsWith(`.${rule.value}`)
+      );
+    case "pathPrefix":
+      return Boolean(linkUrl) && linkUrl.pathname.startsWith(rule.value);
+    case "regex":
+      return (
+        Boolean(linkUrl) && testRulePattern(rule, linkUrl.href, timedOutRules)
+      );
+    case "text":
+      return text.toLowerCase().includes(rule.value.toLowerCase());
+    default:
+      return false;
+  }
+}
+
+/**
+ * Rewrite the links and buttons of a page with a rule set. Links keep their
+ * original href in data-original-href (buttons their onclick in
+ * data-original-onclick), so applying a new rule set starts from the page as
+ * cloned. Links are matched by their original URL, resolved against the
+ * page's <base> or else the URL the page was cloned from; buttons only by
+ * text rules.
+ * @param {Object} $ - Cheerio document of the page
+ * @param {Array} rules - Rules from normalizeLinkRules
+ * @param {string} pageUrl - URL the page was cloned from
+ * @returns {Array} - Changes: [{ rule, element, text, from, to }]
+ */
+function applyLinkRules($, rules, pageUrl) {
+  // Undo the previous rule set
+  $("[data-original-href]").each((i, elem) => {
+    $(elem).attr("href", $(elem).attr("data-original-href"));
+    $(elem).removeAttr("data-original-href");
+  });
+  $("[data-original-onclick]").each((i, elem) => {
+    const original = $(elem).attr("data-original-onclick");
+    if (original) $(elem).attr("onclick", original);
+    else $(elem).removeAttr("onclick");
+    $(elem).removeAttr("data-original-onclick");
+  });
+
+  // Links resolve against the page's <base> (crawled nested pages get one
+  // pointing back to the site root)
+  let baseUrl = pageUrl;
+  const baseHref = $("base[href]").first().attr("href");
+  if (baseHref) {
+    try {
+      baseUrl = new URL(baseHref, pageUrl).href;
+    } catch (error) {
+      // Malformed <base>: resolve against the page itself
+    }
+  }
+
+  const changes = [];
+  const timedOutRules = new Set();
+  $("a[href], button").each((i, elem) => {
+    const element = $(elem);
+    const isLink = elem.tagName === "a";
+    const text = element.text().replace(/\s+/g, " ").trim();
+
+    let linkUrl = null;
+    if (isLink) {
+      try {
+        linkUrl = new URL(element.attr("href"), baseUrl);
+      } catch (error) {
+        // Malformed hrefs can still match by text
+      }
+    }
+
+    const index = rules.findIndex(
+      (rule) =>
+        (isLink || rule.type === "text") &&
+        matchesRule(rule, linkUrl, text, timedOutRules)
+    );
+    if (index === -1) return;
+
+    const target = getRuleUrl(rules[index]);
+    if (isLink) {
+      changes.push({
+        rule: index,
+        element: "a",
+        text,
+        from: element.attr("href"),
+        to: target,
+      });
+      element.attr("data-original-href", element.attr("href"));
+      element.attr("href", target);
+    } else {
+      changes.push({
+        rule: index,
+        element: "button",
+        text,
+        from: element.attr("onclick") || null,
+        to: target,
+      });
+      element.attr("data-original-onclick", element.attr("onclick") || "");
+      element.attr("onclick", `window.location.href=${JSON.stringify(target)}`);
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  normalizeLinkRules,
+  applyLinkRules,
+};
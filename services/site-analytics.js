@@ -0,0 +1,117 @@
+// Per-site tracking settings injected into pages when they are served.
+// IDs end up inside inline scripts, so they are restricted to safe characters.
+const ANALYTICS_FIELDS = {
+  metaPixelId: /^\d{5,20}$/,
+  ga4MeasurementId: /^G-[A-Z0-9]{4,20}$/,
+  tiktokPixelId: /^[A-Z0-9]{10,30}$/,
+};
+
+// Custom snippets are stored as-is; cap their size to keep metadata small
+const MAX_CUSTOM_HTML_LENGTH = 50000;
+
+/**
+ * Validate analytics settings from a request
+ * @param {Object} input - { metaPixelId, ga4MeasurementId, tiktokPixelId, customHead, customBodyEnd }
+ * @returns {Object} - Normalized settings (empty values become null)
+ * @throws {Error} - When a value is invalid
+ */
+function normalizeAnalyticsSettings(input = {}) {
+  const settings = {};
+
+  for (const [field, pattern] of Object.entries(ANALYTICS_FIELDS)) {
+    const value = input[field] ? String(input[field]).trim() : "";
+    if (value && !pattern.test(value)) {
+      throw new Error(`Invalid ${field}: ${value}`);
+    }
+    settings[field] = value || null;
+  }
+
+  for (const field of ["customHead", "customBodyEnd"]) {
+    const value = input[field] ? String(input[field]) : "";
+    if (value.length > MAX_CUSTOM_HTML_LENGTH) {
+      throw new Error(
+        `${field} is longer than ${MAX_CUSTOM_HTML_LENGTH} characters`
+      );
+    }
+    settings[field] = value.trim() ? value : null;
+  }
+
+  return settings;
+}
+
+function metaPixelSnippet(pixelId) {
+  return `<script>
+!function(f,b,e,v,n,t,s){if(f.fbq)return;n=f.fbq=function(){n.callMethod?n.callMethod.apply(n,arguments):n.queue.push(arguments)};if(!f._fbq)f._fbq=n;n.push=n;n.loaded=!0;n.version='2.0';n.queue=[];t=b.createElement(e);t.async=!0;t.src=v;s=b.getElementsByTagName(e)[0];s.parentNode.insertBefore(t,s)}(window,document,'script','https://connect.facebook.net/en_US/fbevents.js');
+fbq('init', '${pixelId}');
+fbq('track', 'PageView');
+</script>
+<noscript><img height="1" width="1" style="display:none" src="https://www.facebook.com/tr?id=${pixelId}&ev=PageView&noscript=1"/></noscript>`;
+}
+
+function ga4Snippet(measurementId) {
+  return `<script async src="https://www.googletagmanager.com/gtag/js?id=${measurementId}"></script>
+<script>
+window.dataLayer = window.dataLayer || [];
+function gtag(){dataLayer.push(arguments);}
+gtag('js', new Date());
+gtag('config', '${measurementId}');
+</script>`;
+}
+
+function tiktokPixelSnippet(pixelId) {
+  return `<script>
+!function (w, d, t) {
+w.TiktokAnalyticsObject=t;var ttq=w[t]=w[t]||[];ttq.methods=["page","track","identify","instances","debug","on","off","once","ready","alias","group","enableCookie","disableCookie"],ttq.setAndDefer=function(t,e){t[e]=function(){t.push([e].concat(Array.prototype.slice.call(arguments,0)))}};for(var i=0;i<ttq.methods.length;i++)ttq.setAndDefer(ttq,ttq.methods[i]);ttq.instance=function(t){for(var e=ttq._i[t]||[],n=0;n<ttq.methods.length;n++)ttq.setAndDefer(e,ttq.methods[n]);return e},ttq.load=function(e,n){var i="https://analytics.tiktok.com/i18n/pixel/events.js";ttq._i=ttq._i||{},ttq._i[e]=[],ttq._i[e]._u=i,ttq._t=ttq._t||{},ttq._t[e]=+new Date,ttq._o=ttq._o||{},ttq._o[e]=n||{};var o=document.createElement("script");o.type="text/javascript",o.async=!0,o.src=i+"?sdkid="+e+"&lib="+t;var a=document.getElementsByTagName("script")[0];a.parentNode.insertBefore(o,a)};
+ttq.load('${pixelId}');
+ttq.page();
+}(window, document, 'ttq');
+</script>`;
+}
+
+/**
+ * Insert the configured snippets into a page: pixels and custom head HTML
+ * before </head>, custom body HTML before </body>
+ * @param {string} html - Page HTML
+ * @param {Object|null} settings - Normalized analytics settings
+ * @returns {string} - HTML with the snippets
+ */
+function injectAnalytics(html, settings) {
+  if (!settings) return html;
+
+  const head = [];
+  if (settings.ga4MeasurementId) {
+    head.push(ga4Snippet(settings.ga4MeasurementId));
+  }
+  if (settings.metaPixelId) {
+    head.push(metaPixelSnippet(settings.metaPixelId));
+  }
+  if (settings.tiktokPixelId) {
+    head.push(tiktokPixelSnippet(settings.tiktokPixelId));
+  }
+  if (settings.customHead) {
+    head.push(settings.customHead);
+  }
+
+  // Replacement functions keep "$" in custom snippets literal
+  if (head.length > 0) {
+    const headHtml = head.join("\n");
+    html = /<\/head>/i.test(html)
+      ? html.replace(/<\/head>/i, () => `${headHtml}\n</head>`)
+      : headHtml + html;
+  }
+
+  if (settings.customBodyEnd) {
+    const bodyEnd = html.toLowerCase().lastIndexOf("</body>");
+    html =
+      bodyEnd === -1
+        ? html + settings.customBodyEnd
+        : html.slice(0, bodyEnd) + settings.customBodyEnd + html.slice(bodyEnd);
+  }
+
+  return html;
+}
+
+module.exports = {
+  normalizeAnalyticsSettings,
+  injectAnalytics,
+};
@@ -0,0 +1,30 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Data kept for a site that visitors must not see (refresh backups, version
+// history, undo logs, form webhooks) lives in site_data/<siteId>, outside the
+// cloned_sites folder that is served publicly. SITE_DATA_DIR moves it elsewhere
+const SITE_DATA_DIR = process.env.SITE_DATA_DIR || "./site_data";
+
+/**
+ * Folder of a site's private data
+ * @param {string} site - Site ID or site folder
+ * @returns {string} - Path of site_data/<siteId>
+ */
+function getSiteDataDir(site) {
+  return path.join(SITE_DATA_DIR, path.basename(site));
+}
+
+/**
+ * Remove the private data of a deleted site
+ * @param {string} site - Site ID or site folder
+ */
+async function removeSiteData(site) {
+  await fs.rm(getSiteDataDir(site), { recursive: true, force: true });
+}
+
+module.exports = {
+  SITE_DATA_DIR,
+  getSiteDataDir,
+  removeSiteData,
+};
@@ -0,0 +1,216 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// Lazy-loading attributes cleared when an image is replaced in the editor
+const LAZY_IMAGE_ATTRIBUTES = [
+  "data-src",
+  "data-srcset",
+  "nitro-lazy-src",
+  "nitro-lazy-srcset",
+  "srcset",
+];
+
+// Collapse whitespace so re-fetched markup with different formatting still matches
+function normalizeText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+// Describe an element so it can be found again in a freshly cloned page:
+// its structural path from <html>, tag, text and (for images) source
+function describeElement($, $elem) {
+  const segments = [];
+  let current = $elem;
+
+  while (current.length > 0 && current[0].type === "tag") {
+    const tag = current[0].tagName.toLowerCase();
+    const sameTagSiblings = current
+      .parent()
+      .children()
+      .filter((i, sibling) => sibling.tagName === current[0].tagName);
+    const position = sameTagSiblings.index(current[0]) + 1;
+    segments.unshift(
+      sameTagSiblings.length > 1 ? `${tag}:nth-of-type(${position})` : tag
+    );
+    current = current.parent();
+  }
+
+  const target = {
+    path: segments.join(" > "),
+    tag: $elem.prop("tagName").toLowerCase(),
+    text: normalizeText($elem.text()).substring(0, 200),
+  };
+  if (target.tag === "img") {
+    target.src = $elem.attr("src") || "";
+  }
+  return target;
+}
+
+// Check an element still has the content it had when the edit was recorded
+function matchesTarget($elem, target) {
+  if (target.tag === "img") {
+    return ($elem.attr("src") || "") === target.src;
+  }
+  return normalizeText($elem.text()).substring(0, 200) === target.text;
+}
+
+// Find the element an edit was recorded against: first by structural path,
+// then by a unique element with the same tag and content
+function findEditTarget($, target) {
+  const byPath = $(target.path);
+  if (byPath.length === 1 && matchesTarget(byPath, target)) {
+    return byPath;
+  }
+
+  const byContent = $(target.tag).filter((i, elem) =>
+    matchesTarget($(elem), target)
+  );
+  if (byContent.length === 1) {
+    return byContent;
+  }
+
+  return null;
+}
+
+// Apply a recorded edit to a loaded page. Returns null on success or the
+// reason the edit could not be applied.
+function applyEdit($, edit) {
+  if (edit.type === "font") {
+    let fontStyleTag = $("#website-font-style");
+    if (fontStyleTag.length === 0) {
+      $("head").append('<style id="website-font-style"></style>');
+      fontStyleTag = $("#website-font-style");
+    }
+    fontStyleTag.html(
+      `body, * { font-family: ${edit.fontFamily} !important; }`
+    );
+    return null;
+  }
+
+  const element = findEditTarget($, edit.target);
+  if (!element) {
+    return "Target element no longer matches";
+  }
+
+  switch (edit.type) {
+    case "text":
+      element.text(edit.value);
+      break;
+
+    case "html":
+      element.html(edit.value);
+      break;
+
+    case "style":
+      element.attr("style", edit.value);
+      break;
+
+    case "delete":
+      element.remove();
+      break;
+
+    case "image":
+      element.attr("src", edit.src);
+      LAZY_IMAGE_ATTRIBUTES.forEach((attribute) =>
+        element.removeAttr(attribute)
+      );
+      if (edit.style) element.attr("style", edit.style);
+      element.removeClass("lazyload lazyloaded nitro-lazy lazyautosizes");
+      break;
+
+    case "class-color":
+      element.attr("data-editor-class-color-id", edit.elementId);
+      if (!$('link[href="./custom-colors.css"]').length) {
+        $("head").append('<link rel="stylesheet" href="./custom-colors.css">');
+      }
+      break;
+
+    default:
+      return `Unknown edit type: ${edit.type}`;
+  }
+
+  return null;
+}
+
+// Re-apply recorded edits (in the order they were made) to freshly cloned
+// pages, keyed by page path
+function applyRecordedEdits(pages, edits) {
+  const applied = [];
+  const failed = [];
+
+  for (const edit of edits) {
+    const $ = pages[edit.page || "index.html"];
+    const reason = $ ? applyEdit($, edit) : "Page no longer exists";
+
+    if (reason) {
+      failed.push({ ...edit, reason });
+    } else {
+      applied.push(edit);
+    }
+  }
+
+  return { applied, failed };
+}
+
+// Append edits to the site's edit log in metadata.json. Returns the
+// recorded entries.
+async function recordEdits(siteDir, edits) {
+  if (edits.length === 0) return [];
+
+  try {
+    const metadataPath = path.join(siteDir, "metadata.json");
+    const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+    const at = new Date().toISOString();
+
+    const entries = edits.map((edit) => ({
+      id: crypto.randomUUID(),
+      page: "index.html",
+      ...edit,
+      at,
+    }));
+    metadata.edits = (metadata.edits || []).concat(entries);
+
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    return entries;
+  } catch (error) {
+    console.warn("Could not record edit:", error.message);
+    return [];
+  }
+}
+
+// Compare the visible text blocks of two versions of a page
+function diffPageText($old, $new) {
+  const collect = ($) => {
+    const blocks = new Set();
+    $("h1, h2, h3, h4, h5, h6, p, li, a, button, td, th, label").each(
+      (i, elem) => {
+        const text = normalizeText($(elem).text());
+        if (text) blocks.add(text);
+      }
+    );
+    return blocks;
+  };
+
+  const oldBlocks = collect($old);
+  const newBlocks = collect($new);
+  const added = [...newBlocks].filter((text) => !oldBlocks.has(text));
+  const removed = [...oldBlocks].filter((text) => !newBlocks.has(text));
+
+  return {
+    added: added.length,
+    removed: removed.length,
+    samples: {
+      added: added.slice(0, 10),
+      removed: removed.slice(0, 10),
+    },
+  };
+}
+
+module.exports = {
+  describeElement,
+  findEditTarget,
+  applyEdit,
+  applyRecordedEdits,
+  recordEdits,
+  diffPageText,
+};
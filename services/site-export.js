@@ -0,0 +1,571 @@
+const fs = require("fs").promises;
+const path = require("path");
+const cheerio = require("cheerio");
+const JSZip = require("jszip");
+const { injectAnalytics } = require("./site-analytics");
+const { restoreForm } = require("./form-capture");
+const { stripEditorAttributes } = require("./element-ids");
+
+// Rules written by the editor's class-color tool target this attribute
+const CLASS_COLOR_SELECTOR = /\[data-editor-class-color-id="([^"]+)"\]/g;
+
+// Attributes holding a single URL / a srcset list
+const URL_ATTRIBUTES = ["src", "href", "poster", "data-src", "action"];
+const SRCSET_ATTRIBUTES = ["srcset", "data-srcset"];
+
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(['"])(.*?)\1/gi;
+
+// Guards against @import cycles between stylesheets and iframe cycles
+// between pages
+const MAX_CSS_IMPORT_DEPTH = 5;
+const MAX_FRAME_DEPTH = 3;
+
+// MIME types for data URIs, when the asset manifest does not know one
+const EXTENSION_MIME_TYPES = {
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".css": "text/css",
+  ".js": "text/javascript",
+  ".mjs": "text/javascript",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".eot": "application/vnd.ms-fontobject",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+};
+
+/**
+ * Read a site's metadata.json, or null when the site has none
+ */
+async function readSiteMetadata(siteDir) {
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(siteDir, "metadata.json"), "utf8")
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+// Class names replacing the editor's class-color attributes, keyed by the
+// attribute value, so custom-colors.css keeps working once they are stripped
+function getColorClasses(customCss) {
+  const colorClasses = new Map();
+  for (const match of customCss.matchAll(CLASS_COLOR_SELECTOR)) {
+    if (!colorClasses.has(match[1])) {
+      colorClasses.set(match[1], `editor-color-${colorClasses.size + 1}`);
+    }
+  }
+  return colorClasses;
+}
+
+function rewriteColorSelectors(customCss, colorClasses) {
+  return customCss.replace(
+    CLASS_COLOR_SELECTOR,
+    (selector, id) => `.${colorClasses.get(id)}`
+  );
+}
+
+/**
+ * Point forms rerouted for submission capture back at the action they were
+ * cloned with, as exported sites have no /api/sites/... route. Actions are
+ * made absolute so they still reach the original site.
+ * @param {Object} $ - Loaded page
+ * @param {Array} [forms] - Forms recorded in metadata.json
+ */
+function restoreCapturedForms($, forms = []) {
+  $("form[data-original-action]").each((i, elem) => {
+    const $form = $(elem);
+    const formId = $form.attr("data-form-id");
+    restoreForm($, formId);
+
+    const recorded = forms.find((form) => form.id === formId);
+    if (recorded && recorded.action) $form.attr("action", recorded.action);
+  });
+}
+
+// Rewrite one reference so it works without <base> and from any folder:
+// root-relative paths and (when the page relied on a relative <base>) paths
+// resolved from the site root are made relative to the page itself
+function relativizeReference(reference, rootPrefix, hadBase) {
+  if (/^\/(?!\/)/.test(reference)) {
+    return rootPrefix + reference.slice(1) || "./";
+  }
+  if (
+    !hadBase ||
+    !reference ||
+    /^([a-z][a-z0-9+.-]*:|\/\/|#|\?)/i.test(reference)
+  ) {
+    return reference;
+  }
+  return rootPrefix + reference.replace(/^\.\//, "") || "./";
+}
+
+function relativizeCss(css, rootPrefix, hadBase) {
+  return css.replace(CSS_URL_PATTERN, (match, quote, reference) => {
+    const rewritten = relativizeReference(
+      reference.trim(),
+      rootPrefix,
+      hadBase
+    );
+    return `url(${quote}${rewritten}${quote})`;
+  });
+}
+
+/**
+ * Make every reference in a page relative to the page, so the site can be
+ * served from any folder of any static host
+ * @param {Object} $ - Loaded page
+ * @param {string} pagePath - Page path inside the site, e.g. about/index.html
+ */
+function makePathsRelative($, pagePath) {
+  const rootPrefix = "../".repeat(pagePath.split("/").length - 1);
+
+  // Nested pages carry a <base> pointing at the site root; drop it and
+  // rewrite what it resolved instead
+  const $base = $("base[href]");
+  const hadBase = $base.length > 0 && $base.attr("href") === rootPrefix;
+  if (hadBase) $base.remove();
+
+  for (const attribute of URL_ATTRIBUTES) {
+    $(`[${attribute}]`).each((i, elem) => {
+      const $elem = $(elem);
+      const value = $elem.attr(attribute).trim();
+      $elem.attr(attribute, relativizeReference(value, rootPrefix, hadBase));
+    });
+  }
+
+  for (const attribute of SRCSET_ATTRIBUTES) {
+    $(`[${attribute}]`).each((i, elem) => {
+      const $elem = $(elem);
+      const srcset = $elem
+        .attr(attribute)
+        .split(/,\s+/)
+        .map((candidate) => {
+          const [reference, ...descriptors] = candidate.trim().split(/\s+/);
+          return [
+            relativizeReference(reference, rootPrefix, hadBase),
+            ...descriptors,
+          ].join(" ");
+        })
+        .join(", ");
+      $elem.attr(attribute, srcset);
+    });
+  }
+
+  $("[style]").each((i, elem) => {
+    const $elem = $(elem);
+    $elem.attr(
+      "style",
+      relativizeCss($elem.attr("style"), rootPrefix, hadBase)
+    );
+  });
+  $("style").each((i, elem) => {
+    const $elem = $(elem);
+    $elem.html(relativizeCss($elem.html(), rootPrefix, hadBase));
+  });
+}
+
+// Add a folder's files to the archive, recursively
+async function addDirectory(zip, dirPath, zipPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    return;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      await addDirectory(zip, entryPath, `${zipPath}/${entry.name}`);
+    } else if (entry.isFile()) {
+      zip.file(`${zipPath}/${entry.name}`, await fs.readFile(entryPath));
+    }
+  }
+}
+
+/**
+ * Bundle a cloned site for static hosting: its pages (without editor
+ * attributes, with the site's tracking snippets), assets, custom-colors.css
+ * and metadata.json
+ * @param {string} siteDir - Site folder
+ * @param {Object} options - { relativePaths: make all references page-relative }
+ * @returns {Promise<JSZip>} - Archive ready to be generated
+ */
+async function createSiteArchive(siteDir, { relativePaths = false } = {}) {
+  const zip = new JSZip();
+  const metadata = await readSiteMetadata(siteDir);
+  const pages = (metadata && metadata.pages) || [{ path: "index.html" }];
+
+  let customCss = null;
+  try {
+    customCss = await fs.readFile(
+      path.join(siteDir, "custom-colors.css"),
+      "utf8"
+    );
+  } catch (error) {
+    // The site has no class-color edits
+  }
+  const colorClasses = getColorClasses(customCss || "");
+  if (customCss !== null) {
+    zip.file(
+      "custom-colors.css",
+      rewriteColorSelectors(customCss, colorClasses)
+    );
+  }
+
+  for (const page of pages) {
+    let html;
+    try {
+      html = await fs.readFile(path.join(siteDir, page.path), "utf8");
+    } catch (error) {
+      console.warn(`Skipping missing page ${page.path} in export`);
+      continue;
+    }
+
+    const $ = cheerio.load(html);
+    stripEditorAttributes($, colorClasses);
+    restoreCapturedForms($, metadata && metadata.forms);
+    if (relativePaths) {
+      makePathsRelative($, page.path);
+    }
+    zip.file(
+      page.path,
+      injectAnalytics($.html(), metadata && metadata.analytics)
+    );
+  }
+
+  await addDirectory(zip, path.join(siteDir, "assets"), "assets");
+  if (metadata) {
+    zip.file("metadata.json", JSON.stringify(metadata, null, 2));
+  }
+
+  return zip;
+}
+
+// Local file a page or stylesheet reference points to, or null for external
+// URLs and anything outside the site folder
+function resolveSiteFile(siteDir, fromDir, reference) {
+  if (!reference || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference)) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(reference.split(/[?#]/)[0]);
+  } catch (error) {
+    return null;
+  }
+  const filePath = decoded.startsWith("/")
+    ? path.resolve(siteDir, `.${decoded}`)
+    : path.resolve(fromDir, decoded);
+
+  const root = path.resolve(siteDir);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Build a self-contained copy of a page: stylesheets and scripts inlined,
+ * images, fonts and other assets turned into data URIs, and the site's own
+ * pages shown in iframes inlined the same way. Assets larger than
+ * maxAssetSize are not inlined and point at their original URL instead.
+ * @param {string} siteDir - Site folder
+ * @param {Object} options - { page: page path (default index.html), maxAssetSize: bytes }
+ * @returns {Promise<Object>} - { html, report: { page, size, inlined, skipped, largest } }
+ */
+async function createSingleFileHtml(
+  siteDir,
+  { page = "index.html", maxAssetSize = Infinity } = {}
+) {
+  const metadata = await readSiteMetadata(siteDir);
+  const root = path.resolve(siteDir);
+  const pagePath = path.resolve(siteDir, page);
+  if (!pagePath.startsWith(root + path.sep)) {
+    throw new Error("Invalid page");
+  }
+
+  const manifest = new Map();
+  for (const entry of (metadata && metadata.assetManifest) || []) {
+    manifest.set(path.resolve(siteDir, entry.localPath), entry);
+  }
+
+  const inlined = new Map();
+  const skipped = new Map();
+
+  // Read a local asset for inlining; null when it is missing or too large
+  const readAsset = async (filePath) => {
+    let data;
+    try {
+      data = await fs.readFile(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    const relativePath = path
+      .relative(root, filePath)
+      .split(path.sep)
+      .join("/");
+    if (data.length > maxAssetSize) {
+      const entry = manifest.get(filePath);
+      skipped.set(relativePath, {
+        path: relativePath,
+        size: data.length,
+        url: entry ? entry.url : null,
+      });
+      return null;
+    }
+
+    inlined.set(relativePath, data.length);
+    return data;
+  };
+
+  // Stylesheets and framed pages are inlined with their own references
+  // inlined too
+  const toDataUri = async (filePath, cssDepth = 0) => {
+    const extension = path.extname(filePath).toLowerCase();
+    const isPage = extension === ".html" || extension === ".htm";
+    if (isPage && frameDepth >= MAX_FRAME_DEPTH) return null;
+
+    let data = await readAsset(filePath);
+    if (!data) return null;
+
+    const entry = manifest.get(filePath);
+    const mimeType =
+      (entry && entry.mimeType) ||
+      EXTENSION_MIME_TYPES[extension] ||
+      "application/octet-stream";
+    if (extension === ".css") {
+      data = Buffer.from(
+        await inlineCss(
+          data.toString("utf8"),
+          path.dirname(filePath),
+          cssDepth + 1
+        )
+      );
+    } else if (isPage) {
+      frameDepth++;
+      try {
+        data = Buffer.from(await inlinePage(data.toString("utf8"), filePath));
+      } finally {
+        frameDepth--;
+      }
+    }
+    return `data:${mimeType};base64,${data.toString("base64")}`;
+  };
+
+  // Replacement for a reference: a data URI, the original URL of an asset
+  // that was skipped, or the reference unchanged
+  const inlineReference = async (reference, fromDir, cssDepth = 0) => {
+    const filePath = resolveSiteFile(siteDir, fromDir, reference);
+    if (!filePath) return reference;
+
+    const dataUri = await toDataUri(filePath, cssDepth);
+    if (dataUri) return dataUri;
+
+    const entry = manifest.get(filePath);
+    return entry ? entry.url : reference;
+  };
+
+  const inlineCss = async (css, fromDir, cssDepth = 0) => {
+    if (cssDepth > MAX_CSS_IMPORT_DEPTH) return css;
+
+    const replacements = new Map();
+    for (const pattern of [CSS_URL_PATTERN, CSS_IMPORT_PATTERN]) {
+      for (const match of css.matchAll(pattern)) {
+        const reference = match[2].trim();
+        if (!replacements.has(reference)) {
+          replacements.set(
+            reference,
+            await inlineReference(reference, fromDir, cssDepth)
+          );
+        }
+      }
+    }
+
+    return css
+      .replace(CSS_URL_PATTERN, (match, quote, reference) => {
+        const replacement = replacements.get(reference.trim());
+        return `url(${quote || '"'}${replacement}${quote || '"'})`;
+      })
+      .replace(
+        CSS_IMPORT_PATTERN,
+        (match, quote, reference) =>
+          `@import ${quote}${replacements.get(reference.trim())}${quote}`
+      );
+  };
+
+  let customCss = null;
+  try {
+    customCss = await fs.readFile(
+      path.join(siteDir, "custom-colors.css"),
+      "utf8"
+    );
+  } catch (error) {
+    // The site has no class-color edits
+  }
+  const colorClasses = getColorClasses(customCss || "");
+
+  // Frames nested in the page being inlined, guarding against frame cycles
+  let frameDepth = 0;
+
+  // Inline everything a page (the exported one or a framed one) references
+  const inlinePage = async (html, pageFile) => {
+    const $ = cheerio.load(html);
+
+    // Page references resolve from the site root when a relative <base> was
+    // added for a nested page
+    const $base = $("base[href]");
+    let pageDir = path.dirname(pageFile);
+    if (
+      $base.length > 0 &&
+      !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test($base.attr("href"))
+    ) {
+      pageDir = path.resolve(pageDir, $base.attr("href"));
+      $base.remove();
+    }
+
+    stripEditorAttributes($, colorClasses);
+    restoreCapturedForms($, metadata && metadata.forms);
+
+    for (const elem of $('link[rel~="stylesheet"][href]').toArray()) {
+      const $elem = $(elem);
+      const filePath = resolveSiteFile(siteDir, pageDir, $elem.attr("href"));
+      if (!filePath) continue;
+
+      if (path.basename(filePath) === "custom-colors.css") {
+        $elem.replaceWith(
+          `<style>${rewriteColorSelectors(customCss || "", colorClasses)}</style>`
+        );
+        continue;
+      }
+
+      const data = await readAsset(filePath);
+      if (!data) {
+        $elem.attr("href", await inlineReference($elem.attr("href"), pageDir));
+        continue;
+      }
+      const css = await inlineCss(
+        data.toString("utf8"),
+        path.dirname(filePath)
+      );
+      const $style = $("<style></style>").text(css);
+      if ($elem.attr("media")) $style.attr("media", $elem.attr("media"));
+      $elem.replaceWith($style);
+    }
+
+    for (const elem of $("script[src]").toArray()) {
+      const $elem = $(elem);
+      const filePath = resolveSiteFile(siteDir, pageDir, $elem.attr("src"));
+      if (!filePath) continue;
+
+      const data = await readAsset(filePath);
+      if (!data) {
+        $elem.attr("src", await inlineReference($elem.attr("src"), pageDir));
+        continue;
+      }
+      $elem.removeAttr("src");
+      // Keep the script from closing its own tag
+      $elem.text(data.toString("utf8").replace(/<\/script/gi, "<\\/script"));
+    }
+
+    // Other pages are not part of a single file; link to the original pages
+    const pageUrls = new Map(
+      ((metadata && metadata.pages) || []).map((sitePage) => [
+        path.resolve(siteDir, sitePage.path),
+        sitePage.url,
+      ])
+    );
+    $("a[href]").each((i, elem) => {
+      const $elem = $(elem);
+      const [reference, hash] = $elem.attr("href").trim().split("#");
+      const filePath = resolveSiteFile(siteDir, pageDir, reference);
+      if (filePath && pageUrls.has(filePath)) {
+        $elem.attr(
+          "href",
+          pageUrls.get(filePath) + (hash !== undefined ? `#${hash}` : "")
+        );
+      }
+    });
+
+    for (const attribute of ["src", "poster", "data-src"]) {
+      for (const elem of $(`[${attribute}]`).toArray()) {
+        const $elem = $(elem);
+        $elem.attr(
+          attribute,
+          await inlineReference($elem.attr(attribute).trim(), pageDir)
+        );
+      }
+    }
+
+    for (const elem of $('link[rel~="icon"][href]').toArray()) {
+      const $elem = $(elem);
+      $elem.attr("href", await inlineReference($elem.attr("href"), pageDir));
+    }
+
+    for (const attribute of SRCSET_ATTRIBUTES) {
+      for (const elem of $(`[${attribute}]`).toArray()) {
+        const $elem = $(elem);
+        const candidates = [];
+        for (const candidate of $elem.attr(attribute).split(/,\s+/)) {
+          const [reference, ...descriptors] = candidate.trim().split(/\s+/);
+          const inlinedReference = await inlineReference(reference, pageDir);
+          candidates.push([inlinedReference, ...descriptors].join(" "));
+        }
+        $elem.attr(attribute, candidates.join(", "));
+      }
+    }
+
+    for (const elem of $("[style]").toArray()) {
+      const $elem = $(elem);
+      $elem.attr("style", await inlineCss($elem.attr("style"), pageDir));
+    }
+    for (const elem of $("style").toArray()) {
+      const $elem = $(elem);
+      $elem.text(await inlineCss($elem.text(), pageDir));
+    }
+
+    return $.html();
+  };
+
+  const html = injectAnalytics(
+    await inlinePage(await fs.readFile(pagePath, "utf8"), pagePath),
+    metadata && metadata.analytics
+  );
+  const inlinedBytes = [...inlined.values()].reduce(
+    (sum, size) => sum + size,
+    0
+  );
+
+  return {
+    html,
+    report: {
+      page,
+      size: Buffer.byteLength(html),
+      inlined: { count: inlined.size, bytes: inlinedBytes },
+      skipped: [...skipped.values()],
+      largest: [...inlined.entries()]
+        .map(([assetPath, size]) => ({ path: assetPath, size }))
+        .sort((a, b) => b.size - a.size)
+        .slice(0, 10),
+    },
+  };
+}
+
+module.exports = {
+  readSiteMetadata,
+  makePathsRelative,
+  createSiteArchive,
+  createSingleFileHtml,
+};
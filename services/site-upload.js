@@ -0,0 +1,273 @@
+const path = require("path");
+const JSZip = require("jszip");
+
+// Base URL for uploads cloned without a source URL. The .invalid TLD never
+// resolves, so references missing from the upload are simply left as they are.
+const UPLOAD_BASE_URL = "https://upload.invalid/";
+
+// What a ZIP archive may expand to, so a small upload cannot fill the memory
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_ZIP_UNCOMPRESSED_SIZE = 200 * 1024 * 1024; // 200MB
+
+const HTML_EXTENSIONS = [".html", ".htm"];
+const MHTML_EXTENSIONS = [".mhtml", ".mht"];
+
+function isHtmlFile(filePath) {
+  return HTML_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Unfold continuation lines and parse "Name: value" MIME headers
+function parseMimeHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const separator = line.indexOf(":");
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line
+        .slice(separator + 1)
+        .trim();
+    }
+  }
+  return headers;
+}
+
+// Strings below hold one character per byte ("latin1"), so decoding is lossless
+function decodeQuotedPrintable(text) {
+  return Buffer.from(
+    text
+      .replace(/=\r?\n/g, "")
+      .replace(/=([0-9A-F]{2})/gi, (match, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      ),
+    "latin1"
+  );
+}
+
+function decodeMimeBody(body, encoding) {
+  switch ((encoding || "").toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64");
+    case "quoted-printable":
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, "latin1");
+  }
+}
+
+/**
+ * Split a browser-saved MHTML archive into its page and resources
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Object} - { html, location, resources: [{ location, contentType, body }] }
+ * @throws {Error} - When the archive has no HTML part
+ */
+function parseMhtml(buffer) {
+  const text = buffer.toString("latin1");
+  const headerEnd = /\r?\n\r?\n/.exec(text);
+  if (!headerEnd) {
+    throw new Error("Not an MHTML file: missing headers");
+  }
+
+  const headers = parseMimeHeaders(text.slice(0, headerEnd.index));
+  const boundary = /boundary="?([^";]+)"?/i.exec(headers["content-type"] || "");
+  if (!boundary) {
+    throw new Error("Not an MHTML file: missing multipart boundary");
+  }
+
+  let page = null;
+  const resources = [];
+  for (const part of text.split(`--${boundary[1]}`).slice(1)) {
+    // The closing boundary is followed by "--"
+    if (part.startsWith("--")) break;
+
+    const content = part.replace(/^\r?\n/, "");
+    const partHeaderEnd = /\r?\n\r?\n/.exec(content);
+    if (!partHeaderEnd) continue;
+
+    const partHeaders = parseMimeHeaders(content.slice(0, partHeaderEnd.index));
+    const body = decodeMimeBody(
+      content
+        .slice(partHeaderEnd.index + partHeaderEnd[0].length)
+        .replace(/\r?\n$/, ""),
+      partHeaders["content-transfer-encoding"]
+    );
+    const contentType = partHeaders["content-type"] || "";
+    const location = partHeaders["content-location"] || "";
+
+    if (!page && contentType.toLowerCase().startsWith("text/html")) {
+      const charset = /charset="?([^";]+)"?/i.exec(contentType);
+      const singleByte =
+        charset && /^(iso-8859-1|windows-1252|us-ascii)$/i.test(charset[1]);
+      page = {
+        html: body.toString(singleByte ? "latin1" : "utf8"),
+        location,
+      };
+    } else if (location) {
+      resources.push({ location, contentType, body });
+    }
+  }
+
+  if (!page) {
+    throw new Error("The MHTML file contains no HTML page");
+  }
+  return { ...page, resources };
+}
+
+// Contents of a ZIP entry, rejecting once `limit` bytes have been read
+function readZipEntry(entry, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream("nodebuffer");
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        reject(
+          new Error(
+            `The ZIP archive expands to more than ${
+              MAX_ZIP_UNCOMPRESSED_SIZE / 1024 / 1024
+            }MB`
+          )
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("error", reject);
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+// Files of a ZIP archive keyed by their path inside it. Entries are streamed
+// so extraction stops as soon as the archive exceeds the size limit, whatever
+// sizes its headers claim.
+async function readZipEntries(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.values(zip.files).filter(
+    (entry) => !entry.dir && !entry.name.startsWith("__MACOSX/")
+  );
+  if (files.length > MAX_ZIP_ENTRIES) {
+    throw new Error(
+      `The ZIP archive contains more than ${MAX_ZIP_ENTRIES} files`
+    );
+  }
+
+  const entries = new Map();
+  let totalSize = 0;
+  for (const entry of files) {
+    const contents = await readZipEntry(
+      entry,
+      MAX_ZIP_UNCOMPRESSED_SIZE - totalSize
+    );
+    totalSize += contents.length;
+    entries.set(entry.name, contents);
+  }
+
+  return entries;
+}
+
+// The page a set of files opens on: the shallowest index.html, otherwise the
+// shallowest HTML file
+function findEntryPage(filePaths) {
+  const depth = (filePath) => filePath.split("/").length;
+  const candidates = filePaths.filter(isHtmlFile).sort((a, b) => {
+    if (depth(a) !== depth(b)) return depth(a) - depth(b);
+    const aIndex = /^index\.html?$/i.test(path.posix.basename(a));
+    const bIndex = /^index\.html?$/i.test(path.posix.basename(b));
+    if (aIndex !== bIndex) return aIndex ? -1 : 1;
+    return a.localeCompare(b);
+  });
+  return candidates[0] || null;
+}
+
+/**
+ * Turn uploaded files into the input of an HtmlFetchStrategy. Accepts a
+ * single HTML file, a ZIP of a static site, an MHTML archive, or the files of
+ * a "Webpage, Complete" save (page.html plus page_files/...).
+ * @param {Array} files - Uploaded files ({ originalname, buffer })
+ * @param {string} [sourceUrl] - URL the page was saved from, used to resolve
+ *   references that are not part of the upload
+ * @returns {Promise<Object>} - { targetUrl, html, pages, responses, source }
+ * @throws {Error} - When the upload contains no HTML page
+ */
+async function readUploadedSite(files, sourceUrl) {
+  const fileNames = files.map((file) => file.originalname);
+
+  if (
+    files.length === 1 &&
+    MHTML_EXTENSIONS.includes(path.extname(fileNames[0]).toLowerCase())
+  ) {
+    const archive = parseMhtml(files[0].buffer);
+    const targetUrl =
+      sourceUrl ||
+      (/^https?:\/\//i.test(archive.location)
+        ? archive.location
+        : UPLOAD_BASE_URL);
+
+    const responses = new Map();
+    for (const resource of archive.resources) {
+      responses.set(resource.location, {
+        body: resource.body,
+        contentType: resource.contentType,
+      });
+    }
+
+    return {
+      targetUrl,
+      html: archive.html,
+      pages: new Map(),
+      responses,
+      source: { type: "mhtml", files: fileNames },
+    };
+  }
+
+  // Everything else is a set of files keyed by relative path
+  const entries = new Map();
+  let type = files.length === 1 ? "html" : "files";
+  for (const file of files) {
+    if (path.extname(file.originalname).toLowerCase() === ".zip") {
+      type = "zip";
+      for (const [name, buffer] of await readZipEntries(file.buffer)) {
+        entries.set(name, buffer);
+      }
+    } else {
+      entries.set(file.originalname.replace(/\\/g, "/"), file.buffer);
+    }
+  }
+
+  const entryPage = findEntryPage([...entries.keys()]);
+  if (!entryPage) {
+    throw new Error("The upload contains no HTML page");
+  }
+
+  // Paths are resolved from the entry page's folder, which becomes the
+  // target URL
+  const targetUrl = sourceUrl || UPLOAD_BASE_URL;
+  const entryDir = path.posix.dirname(entryPage);
+  const pages = new Map();
+  const responses = new Map();
+  for (const [filePath, buffer] of entries) {
+    if (filePath === entryPage) continue;
+
+    const relativePath = path.posix.relative(entryDir, filePath);
+    const fileUrl = new URL(relativePath, targetUrl).href;
+    if (isHtmlFile(filePath)) {
+      pages.set(fileUrl, buffer.toString("utf8"));
+    } else {
+      responses.set(fileUrl, { body: buffer, contentType: "" });
+    }
+  }
+
+  return {
+    targetUrl,
+    html: entries.get(entryPage).toString("utf8"),
+    pages,
+    responses,
+    source: { type, files: fileNames, entryPage },
+  };
+}
+
+module.exports = {
+  UPLOAD_BASE_URL,
+  parseMhtml,
+  readUploadedSite,
+};
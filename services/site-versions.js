@@ -0,0 +1,597 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+const { diffPageText } = require("./site-edit-service");
+const { getSiteDataDir } = require("./site-data");
+
+// Versions live in site_data/<siteId>/versions, out of the served site
+// folder: index.json lists them and files/ holds the content of every
+// versioned file once, named by its SHA-256
+const VERSIONS_DIR = "versions";
+
+// Oldest versions are pruned beyond this many
+const MAX_VERSIONS = 50;
+
+// Files versioned besides the pages of the site
+const VERSIONED_FILES = ["custom-colors.css", "extracted-styles.css"];
+
+// metadata.json fields that describe the pages and are restored with them
+const VERSIONED_METADATA_FIELDS = [
+  "pages",
+  "edits",
+  "linkRules",
+  "forms",
+  "analytics",
+];
+
+// Unchanged lines shown around each change of a diff
+const DIFF_CONTEXT_LINES = 3;
+
+// Largest old × new line count compared line by line; bigger changes are
+// shown as the old lines removed and the new ones added
+const MAX_DIFF_CELLS = 4000000;
+
+// Diff lines are cut at this length (inline data URIs can be huge)
+const MAX_DIFF_LINE_LENGTH = 500;
+
+// Pending version writes of each site folder, so concurrent edits each
+// record their version instead of overwriting each other's history
+const siteQueues = new Map();
+
+function createStatusError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function getVersionsDir(siteDir) {
+  return path.join(getSiteDataDir(siteDir), VERSIONS_DIR);
+}
+
+// Run a task once the earlier version writes of the site have finished
+function queueVersionWrite(siteDir, task) {
+  const key = path.resolve(siteDir);
+  const run = (siteQueues.get(key) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  siteQueues.set(key, settled);
+  settled.then(() => {
+    if (siteQueues.get(key) === settled) siteQueues.delete(key);
+  });
+  return run;
+}
+
+// Versions used to be kept in the site folder, where they were served
+async function moveLegacyVersions(siteDir) {
+  const legacyDir = path.join(siteDir, VERSIONS_DIR);
+  try {
+    await fs.access(legacyDir);
+  } catch (error) {
+    return;
+  }
+
+  const versionsDir = getVersionsDir(siteDir);
+  try {
+    await fs.mkdir(path.dirname(versionsDir), { recursive: true });
+    await fs.rename(legacyDir, versionsDir);
+  } catch (error) {
+    console.warn(`Could not move versions of ${siteDir}:`, error.message);
+  }
+}
+
+async function readHistory(siteDir) {
+  await moveLegacyVersions(siteDir);
+  try {
+    return JSON.parse(
+      await fs.readFile(
+        path.join(getVersionsDir(siteDir), "index.json"),
+        "utf8"
+      )
+    );
+  } catch (error) {
+    return { versions: [] };
+  }
+}
+
+async function writeHistory(siteDir, history) {
+  await fs.mkdir(path.join(getVersionsDir(siteDir), "files"), {
+    recursive: true,
+  });
+  await fs.writeFile(
+    path.join(getVersionsDir(siteDir), "index.json"),
+    JSON.stringify(history, null, 2)
+  );
+}
+
+async function storeContent(siteDir, content) {
+  const hash = crypto.createHash("sha256").update(content).digest("hex");
+  const filePath = path.join(getVersionsDir(siteDir), "files", hash);
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  }
+  return hash;
+}
+
+function readContent(siteDir, hash) {
+  return fs.readFile(path.join(getVersionsDir(siteDir), "files", hash), "utf8");
+}
+
+// Store the current pages, versioned files and metadata fields of a site
+async function snapshotSite(siteDir) {
+  const metadata = JSON.parse(
+    await fs.readFile(path.join(siteDir, "metadata.json"), "utf8")
+  );
+  const pages = metadata.pages || [{ path: "index.html" }];
+
+  const files = {};
+  for (const filePath of [
+    ...pages.map((page) => page.path),
+    ...VERSIONED_FILES,
+  ]) {
+    try {
+      const content = await fs.readFile(path.join(siteDir, filePath), "utf8");
+      files[filePath] = await storeContent(siteDir, content);
+    } catch (error) {
+      // Pages that failed to save and optional files are not versioned
+    }
+  }
+
+  const fields = {};
+  for (const field of VERSIONED_METADATA_FIELDS) {
+    if (metadata[field] !== undefined) fields[field] = metadata[field];
+  }
+
+  return {
+    files,
+    metadata: await storeContent(siteDir, JSON.stringify(fields)),
+  };
+}
+
+function isSameSnapshot(a, b) {
+  const paths = Object.keys(a.files);
+  return (
+    a.metadata === b.metadata &&
+    paths.length === Object.keys(b.files).length &&
+    paths.every((filePath) => a.files[filePath] === b.files[filePath])
+  );
+}
+
+// Drop the oldest versions beyond MAX_VERSIONS and the stored content no
+// remaining version uses
+async function pruneVersions(siteDir, history) {
+  if (history.versions.length <= MAX_VERSIONS) return;
+  history.versions = history.versions.slice(-MAX_VERSIONS);
+
+  const used = new Set();
+  for (const version of history.versions) {
+    used.add(version.metadata);
+    Object.values(version.files).forEach((hash) => used.add(hash));
+  }
+
+  const filesDir = path.join(getVersionsDir(siteDir), "files");
+  for (const hash of await fs.readdir(filesDir)) {
+    if (!used.has(hash)) {
+      await fs.unlink(path.join(filesDir, hash));
+    }
+  }
+}
+
+// createVersion without waiting for the site's other version writes, for
+// use inside a queued task
+async function writeVersion(siteDir, { author, summary }) {
+  const history = await readHistory(siteDir);
+  const snapshot = await snapshotSite(siteDir);
+  const previous = history.versions[history.versions.length - 1];
+
+  const changedFiles = Object.keys(snapshot.files).filter(
+    (filePath) =>
+      !previous || previous.files[filePath] !== snapshot.files[filePath]
+  );
+  if (previous) {
+    changedFiles.push(
+      ...Object.keys(previous.files).filter(
+        (filePath) => !snapshot.files[filePath]
+      )
+    );
+  }
+
+  const version = {
+    id: (history.lastId || 0) + 1,
+    createdAt: new Date().toISOString(),
+    author: author || "anonymous",
+    summary,
+    changedFiles,
+    ...snapshot,
+  };
+  history.lastId = version.id;
+  history.versions.push(version);
+
+  await pruneVersions(siteDir, history);
+  await writeHistory(siteDir, history);
+  return version;
+}
+
+/**
+ * Record the current state of a site as a new version
+ * @param {string} siteDir - Site folder
+ * @param {Object} details - { author, summary }
+ * @returns {Promise<Object>} - The version: { id, createdAt, author, summary,
+ *   changedFiles, files, metadata }
+ */
+function createVersion(siteDir, details) {
+  return queueVersionWrite(siteDir, () => writeVersion(siteDir, details));
+}
+
+/**
+ * Record the state of a site before its first versioned change, so that
+ * change can be undone. Does nothing once the site has versions.
+ */
+function recordInitialVersion(siteDir) {
+  return queueVersionWrite(siteDir, async () => {
+    const history = await readHistory(siteDir);
+    if (history.versions.length > 0) return null;
+    return writeVersion(siteDir, {
+      author: "system",
+      summary: "Site before its first recorded change",
+    });
+  });
+}
+
+/**
+ * Change a site's metadata.json in the site's version write queue, so the
+ * change neither overwrites nor is overwritten by a version being recorded
+ * or restored
+ * @param {string} siteDir - Site folder
+ * @param {Function} update - Receives the metadata to change (may be async)
+ * @returns {Promise<Object>} - The metadata as written
+ */
+function updateSiteMetadata(siteDir, update) {
+  return queueVersionWrite(siteDir, async () => {
+    const metadataPath = path.join(siteDir, "metadata.json");
+    const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+    await update(metadata);
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    return metadata;
+  });
+}
+
+/**
+ * List the versions of a site, newest first
+ * @returns {Promise<Array>} - [{ id, createdAt, author, summary, changedFiles, current }]
+ */
+async function listVersions(siteDir) {
+  const { versions } = await readHistory(siteDir);
+  const latest = versions[versions.length - 1];
+  return versions
+    .map((version) => ({
+      id: version.id,
+      createdAt: version.createdAt,
+      author: version.author,
+      summary: version.summary,
+      changedFiles: version.changedFiles,
+      current: version === latest,
+    }))
+    .reverse();
+}
+
+async function getVersion(siteDir, id) {
+  const { versions } = await readHistory(siteDir);
+  const version = versions.find((item) => String(item.id) === String(id));
+  if (!version) {
+    throw createStatusError(`Version ${id} not found`, 404);
+  }
+  return version;
+}
+
+// Split markup into lines at newlines and between adjacent tags or CSS
+// rules, so minified pages still diff line by line
+function splitLines(content) {
+  return content.split(/\r?\n|(?<=>)(?=<)|(?<=\})/);
+}
+
+// Line operations turning oldLines into newLines: [{ type, text }] with type
+// "context", "removed" or "added"
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const before = oldLines
+    .slice(0, start)
+    .map((text) => ({ type: "context", text }));
+  const after = oldLines
+    .slice(oldEnd)
+    .map((text) => ({ type: "context", text }));
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  const middle = [];
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    a.forEach((text) => middle.push({ type: "removed", text }));
+    b.forEach((text) => middle.push({ type: "added", text }));
+    return [...before, ...middle, ...after];
+  }
+
+  // Longest common subsequence of the changed region, filled from the end
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      middle.push({ type: "context", text: a[i] });
+      i++;
+      j++;
+    } else if (
+      j < b.length &&
+      (i === a.length ||
+        lengths[i * width + j + 1] > lengths[(i + 1) * width + j])
+    ) {
+      middle.push({ type: "added", text: b[j] });
+      j++;
+    } else {
+      middle.push({ type: "removed", text: a[i] });
+      i++;
+    }
+  }
+
+  return [...before, ...middle, ...after];
+}
+
+// Group line operations into hunks of changes with some context around them
+function buildHunks(operations) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+  let trailingContext = 0;
+
+  operations.forEach((operation, index) => {
+    const changed = operation.type !== "context";
+    const nearChange = operations
+      .slice(index, index + DIFF_CONTEXT_LINES + 1)
+      .some((item) => item.type !== "context");
+
+    if (
+      changed ||
+      nearChange ||
+      (hunk && trailingContext < DIFF_CONTEXT_LINES)
+    ) {
+      if (!hunk) {
+        hunk = { oldStart: oldLine, newStart: newLine, lines: [] };
+        hunks.push(hunk);
+      }
+      trailingContext = changed ? 0 : trailingContext + 1;
+      hunk.lines.push({
+        type: operation.type,
+        text:
+          operation.text.length > MAX_DIFF_LINE_LENGTH
+            ? operation.text.substring(0, MAX_DIFF_LINE_LENGTH) + "…"
+            : operation.text,
+      });
+    } else {
+      hunk = null;
+    }
+
+    if (operation.type !== "added") oldLine++;
+    if (operation.type !== "removed") newLine++;
+  });
+
+  return hunks;
+}
+
+/**
+ * Compare two versions of a site file by file
+ * @param {string} siteDir - Site folder
+ * @param {number|string} fromId - Older version
+ * @param {number|string} toId - Newer version
+ * @returns {Promise<Object>} - { from, to, files: [{ path, status, text, hunks }] }
+ *   where text summarizes the visible text added and removed on pages
+ */
+async function diffVersions(siteDir, fromId, toId) {
+  const from = await getVersion(siteDir, fromId);
+  const to = await getVersion(siteDir, toId);
+
+  const paths = [
+    ...new Set([...Object.keys(from.files), ...Object.keys(to.files)]),
+  ];
+  const files = [];
+  for (const filePath of paths) {
+    const fromHash = from.files[filePath];
+    const toHash = to.files[filePath];
+    if (fromHash === toHash) continue;
+
+    const oldContent = fromHash ? await readContent(siteDir, fromHash) : "";
+    const newContent = toHash ? await readContent(siteDir, toHash) : "";
+    let status = "changed";
+    if (!fromHash) status = "added";
+    else if (!toHash) status = "removed";
+
+    files.push({
+      path: filePath,
+      status,
+      text:
+        path.extname(filePath) === ".html"
+          ? diffPageText(cheerio.load(oldContent), cheerio.load(newContent))
+          : null,
+      hunks: buildHunks(
+        diffLines(
+          oldContent ? splitLines(oldContent) : [],
+          newContent ? splitLines(newContent) : []
+        )
+      ),
+    });
+  }
+
+  const describe = (version) => ({
+    id: version.id,
+    createdAt: version.createdAt,
+    author: version.author,
+    summary: version.summary,
+  });
+  return { from: describe(from), to: describe(to), files };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render a diff from diffVersions as a standalone HTML page
+ * @returns {string} - HTML
+ */
+function renderDiffHtml(siteId, diff) {
+  const heading = (version) =>
+    `#${version.id} ${escapeHtml(version.summary)} (${escapeHtml(
+      version.author
+    )}, ${escapeHtml(version.createdAt)})`;
+  const markers = { context: " ", added: "+", removed: "-" };
+
+  const files = diff.files
+    .map((file) => {
+      const hunks = file.hunks
+        .map(
+          (hunk) =>
+            `<div class="hunk">@@ -${hunk.oldStart} +${hunk.newStart} @@</div>` +
+            hunk.lines
+              .map(
+                (line) =>
+                  `<div class="${line.type}">${markers[line.type]} ${escapeHtml(
+                    line.text
+                  )}</div>`
+              )
+              .join("")
+        )
+        .join("");
+      const text = file.text
+        ? `<p class="summary">${file.text.added} text blocks added, ${file.text.removed} removed</p>`
+        : "";
+      return `<section><h2>${escapeHtml(file.path)} <small>${
+        file.status
+      }</small></h2>${text}<pre>${hunks}</pre></section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(siteId)}: version ${diff.from.id} → ${diff.to.id}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px; color: #222; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  h2 small { color: #888; font-weight: normal; }
+  pre { font-size: 12px; border: 1px solid #ddd; border-radius: 4px; overflow-x: auto; margin: 0; }
+  pre div { padding: 0 8px; white-space: pre-wrap; word-break: break-all; }
+  .hunk { background: #f0f4ff; color: #557; }
+  .added { background: #e6ffec; }
+  .removed { background: #ffebe9; }
+  .summary { color: #555; margin: 0 0 8px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(siteId)}</h1>
+<p>From ${heading(diff.from)}<br>to ${heading(diff.to)}</p>
+${files || "<p>No differences.</p>"}
+</body>
+</html>
+`;
+}
+
+/**
+ * Put a site back to a version. Unversioned changes made since the latest
+ * version are recorded first, and the restore itself becomes a new version,
+ * so a restore can be undone like any other change.
+ * @param {string} siteDir - Site folder
+ * @param {number|string} id - Version to restore
+ * @param {string} author - Who restores it
+ * @returns {Promise<Object>} - The version created by the restore
+ */
+function restoreVersion(siteDir, id, author) {
+  return queueVersionWrite(siteDir, () =>
+    writeRestoredVersion(siteDir, id, author)
+  );
+}
+
+// restoreVersion's work, run in the site's queue
+async function writeRestoredVersion(siteDir, id, author) {
+  const target = await getVersion(siteDir, id);
+
+  const { versions } = await readHistory(siteDir);
+  const current = await snapshotSite(siteDir);
+  if (!isSameSnapshot(current, versions[versions.length - 1])) {
+    await writeVersion(siteDir, {
+      author,
+      summary: `Changes before restoring version ${target.id}`,
+    });
+  }
+
+  for (const [filePath, hash] of Object.entries(target.files)) {
+    const fullPath = path.join(siteDir, filePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, await readContent(siteDir, hash));
+  }
+  for (const filePath of Object.keys(current.files)) {
+    if (!target.files[filePath]) {
+      await fs.unlink(path.join(siteDir, filePath));
+    }
+  }
+
+  const metadataPath = path.join(siteDir, "metadata.json");
+  const metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  const fields = JSON.parse(await readContent(siteDir, target.metadata));
+  for (const field of VERSIONED_METADATA_FIELDS) {
+    if (fields[field] !== undefined) metadata[field] = fields[field];
+    else delete metadata[field];
+  }
+  metadata.lastEdited = new Date().toISOString();
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+  return writeVersion(siteDir, {
+    author,
+    summary: `Restored version ${target.id}`,
+  });
+}
+
+module.exports = {
+  MAX_VERSIONS,
+  createVersion,
+  recordInitialVersion,
+  updateSiteMetadata,
+  listVersions,
+  getVersion,
+  diffVersions,
+  renderDiffHtml,
+  restoreVersion,
+};
@@ -0,0 +1,222 @@
+const { chromium } = require("playwright");
+const { DEVICE_PRESETS } = require("./fetch-strategies");
+
+// Per-channel difference (0-255) up to which two pixels count as equal, so
+// antialiasing and image compression noise are not reported as changes
+const DEFAULT_PIXEL_THRESHOLD = 32;
+
+// Share of changed pixels above which a clone is reported as not matching
+const DEFAULT_MAX_DIFF_PERCENTAGE = 5;
+
+// Time given to each page to settle after loading
+const DEFAULT_COMPARE_DELAY = 1000;
+
+// Full-page screenshots are cut at this height to bound the memory a
+// comparison needs on very long pages
+const MAX_SCREENSHOT_HEIGHT = 8000;
+
+// Load a page the way the clone strategies do and screenshot it
+async function capturePage(context, pageUrl, delay) {
+  const page = await context.newPage();
+  try {
+    try {
+      await page.goto(pageUrl, { waitUntil: "networkidle", timeout: 60000 });
+    } catch (navError) {
+      await page.goto(pageUrl, {
+        waitUntil: "domcontentloaded",
+        timeout: 30000,
+      });
+    }
+    await page.waitForTimeout(delay);
+
+    const { width, height } = await page.evaluate(() => ({
+      width: document.documentElement.clientWidth,
+      height: document.documentElement.scrollHeight,
+    }));
+    return await page.screenshot({
+      type: "png",
+      fullPage: true,
+      clip: {
+        x: 0,
+        y: 0,
+        width,
+        height: Math.min(height, MAX_SCREENSHOT_HEIGHT),
+      },
+    });
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Compare two PNG screenshots pixel by pixel in a browser canvas. Areas only
+ * one screenshot covers (e.g. a page that got taller) count as changed.
+ * @param {Object} context - Playwright browser context
+ * @param {Buffer} original - Screenshot of the original page
+ * @param {Buffer} clone - Screenshot of the clone
+ * @param {number} threshold - Per-channel difference tolerated per pixel
+ * @returns {Promise<Object>} - { width, height, changedPixels, diffPercentage, diff }
+ *   where diff is a PNG showing changed pixels in red over a faded original
+ */
+async function diffScreenshots(context, original, clone, threshold) {
+  const page = await context.newPage();
+  try {
+    const result = await page.evaluate(
+      async ({ originalUrl, cloneUrl, threshold }) => {
+        const load = (src) =>
+          new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () =>
+              reject(new Error("Could not decode screenshot"));
+            image.src = src;
+          });
+        const [a, b] = await Promise.all([load(originalUrl), load(cloneUrl)]);
+        const width = Math.max(a.width, b.width);
+        const height = Math.max(a.height, b.height);
+
+        const readPixels = (image) => {
+          const canvas = document.createElement("canvas");
+          canvas.width = width;
+          canvas.height = height;
+          const context = canvas.getContext("2d");
+          context.drawImage(image, 0, 0);
+          return context.getImageData(0, 0, width, height).data;
+        };
+        const pixelsA = readPixels(a);
+        const pixelsB = readPixels(b);
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext("2d");
+        const diff = context.createImageData(width, height);
+
+        let changedPixels = 0;
+        for (let i = 0; i < pixelsA.length; i += 4) {
+          const x = (i / 4) % width;
+          const y = Math.floor(i / 4 / width);
+          const covered =
+            x < a.width && y < a.height && x < b.width && y < b.height;
+          const delta = Math.max(
+            Math.abs(pixelsA[i] - pixelsB[i]),
+            Math.abs(pixelsA[i + 1] - pixelsB[i + 1]),
+            Math.abs(pixelsA[i + 2] - pixelsB[i + 2])
+          );
+
+          if (!covered || delta > threshold) {
+            changedPixels++;
+            diff.data.set([255, 0, 0, 255], i);
+          } else {
+            const gray =
+              0.299 * pixelsA[i] +
+              0.587 * pixelsA[i + 1] +
+              0.114 * pixelsA[i + 2];
+            const faded = 255 - (255 - gray) * 0.25;
+            diff.data.set([faded, faded, faded, 255], i);
+          }
+        }
+        context.putImageData(diff, 0, 0);
+
+        return {
+          width,
+          height,
+          changedPixels,
+          diff: canvas.toDataURL("image/png"),
+        };
+      },
+      {
+        originalUrl: `data:image/png;base64,${original.toString("base64")}`,
+        cloneUrl: `data:image/png;base64,${clone.toString("base64")}`,
+        threshold,
+      }
+    );
+
+    const totalPixels = result.width * result.height;
+    return {
+      width: result.width,
+      height: result.height,
+      changedPixels: result.changedPixels,
+      diffPercentage: totalPixels
+        ? Math.round((result.changedPixels / totalPixels) * 10000) / 100
+        : 0,
+      diff: Buffer.from(result.diff.split(",")[1], "base64"),
+    };
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Screenshot a page and its clone on each device and diff the results
+ * @param {string} originalUrl - URL of the original page
+ * @param {string} cloneUrl - URL the clone is served at
+ * @param {Object} [options] - { devices: DEVICE_PRESETS names, threshold, delay }
+ * @returns {Promise<Array>} - Per device: { device, viewport, width, height,
+ *   changedPixels, diffPercentage, images: { original, clone, diff } (PNG buffers) }
+ * @throws {Error} - When the browser cannot be launched
+ */
+async function compareVisually(originalUrl, cloneUrl, options = {}) {
+  const devices = options.devices || ["desktop"];
+  const threshold =
+    options.threshold !== undefined
+      ? options.threshold
+      : DEFAULT_PIXEL_THRESHOLD;
+  const delay =
+    options.delay !== undefined ? options.delay : DEFAULT_COMPARE_DELAY;
+
+  let browser;
+  try {
+    browser = await chromium.launch({
+      headless: true,
+      timeout: 30000,
+      args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+      ],
+    });
+  } catch (launchError) {
+    throw new Error(`Browser launch failed: ${launchError.message}`);
+  }
+
+  try {
+    const results = [];
+    for (const device of devices) {
+      const context = await browser.newContext({ ...DEVICE_PRESETS[device] });
+      try {
+        console.log(`Comparing ${originalUrl} with ${cloneUrl} (${device})`);
+        const original = await capturePage(context, originalUrl, delay);
+        const clone = await capturePage(context, cloneUrl, delay);
+        const result = await diffScreenshots(
+          context,
+          original,
+          clone,
+          threshold
+        );
+
+        results.push({
+          device,
+          viewport: DEVICE_PRESETS[device].viewport,
+          width: result.width,
+          height: result.height,
+          changedPixels: result.changedPixels,
+          diffPercentage: result.diffPercentage,
+          images: { original, clone, diff: result.diff },
+        });
+      } finally {
+        await context.close();
+      }
+    }
+    return results;
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_PIXEL_THRESHOLD,
+  DEFAULT_MAX_DIFF_PERCENTAGE,
+  compareVisually,
+  diffScreenshots,
+};
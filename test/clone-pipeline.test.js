@@ -0,0 +1,310 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const { mkdtempSync } = require("fs");
+const os = require("os");
+const path = require("path");
+const cheerio = require("cheerio");
+
+const outputDir = mkdtempSync(path.join(os.tmpdir(), "clone-pipeline-"));
+process.env.SITE_DATA_DIR = path.join(outputDir, "site_data");
+
+const { WebsiteCloner } = require("../server");
+const { HtmlFetchStrategy } = require("../services/fetch-strategies");
+const { UPLOAD_BASE_URL } = require("../services/site-upload");
+const { listVersions, diffVersions } = require("../services/site-versions");
+
+const PIXEL = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64"
+);
+
+after(async () => {
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+function createUpload() {
+  return new HtmlFetchStrategy({
+    html: `<html><head><style>h1 { color: red; }</style></head><body>
+      <h1>Home</h1>
+      <img src="logo.png"><img src="missing.png">
+      <a href="about.html">About</a>
+    </body></html>`,
+    pages: new Map([
+      [
+        `${UPLOAD_BASE_URL}about.html`,
+        "<html><body><h1>About</h1></body></html>",
+      ],
+    ]),
+    responses: new Map([
+      [`${UPLOAD_BASE_URL}logo.png`, { body: PIXEL, contentType: "image/png" }],
+    ]),
+    source: { type: "html", files: 2 },
+  });
+}
+
+test("HtmlFetchStrategy serves supplied pages and lists them", async () => {
+  const strategy = createUpload();
+  const stages = [];
+  const fetched = await strategy.open(UPLOAD_BASE_URL, {
+    reportStage: (message) => stages.push(message),
+  });
+
+  assert.deepStrictEqual(stages, ["Reading uploaded HTML"]);
+  assert.deepStrictEqual(fetched.pageUrls, [`${UPLOAD_BASE_URL}about.html`]);
+  assert.match(
+    await fetched.fetchPageHtml(`${UPLOAD_BASE_URL}about.html?ref=1#top`),
+    /About/
+  );
+  await assert.rejects(
+    fetched.fetchPageHtml(`${UPLOAD_BASE_URL}contact.html`),
+    /not part of the upload/
+  );
+  assert.deepStrictEqual(fetched.getMetadata(), {
+    upload: { type: "html", files: 2 },
+  });
+});
+
+test("HtmlFetchStrategy treats folder URLs as their index page", () => {
+  const strategy = new HtmlFetchStrategy({
+    html: "",
+    pages: new Map([[`${UPLOAD_BASE_URL}blog/index.html`, "blog"]]),
+  });
+  assert.strictEqual(strategy.findPage(`${UPLOAD_BASE_URL}blog/`), "blog");
+  assert.strictEqual(strategy.findPage(`${UPLOAD_BASE_URL}news/`), null);
+});
+
+test("clone stages run in order", () => {
+  const cloner = new WebsiteCloner(outputDir);
+  assert.deepStrictEqual(
+    cloner.cloneStages.map((stage) => stage.name),
+    [
+      "prepare",
+      "sanitize",
+      "localize-assets",
+      "extract-styles",
+      "pages",
+      "styles",
+      "screenshots",
+      "metadata",
+    ]
+  );
+});
+
+test("extract-styles and styles stages save inline styles", async () => {
+  const cloner = new WebsiteCloner(outputDir);
+  const stage = (name) => cloner.cloneStages.find((item) => item.name === name);
+  const siteDir = await fs.mkdtemp(path.join(outputDir, "styles-"));
+  const clone = {
+    $: cheerio.load("<style>a { color: blue; }</style><style>p {}</style>"),
+    siteDir,
+    inlineStyles: [],
+  };
+
+  await stage("extract-styles").run(clone);
+  assert.deepStrictEqual(clone.inlineStyles, ["a { color: blue; }", "p {}"]);
+
+  await stage("styles").run(clone);
+  assert.strictEqual(
+    await fs.readFile(path.join(siteDir, "extracted-styles.css"), "utf8"),
+    "a { color: blue; }\n\np {}"
+  );
+});
+
+test("prepare stage gives each clone its own folder", async () => {
+  const cloner = new WebsiteCloner(outputDir);
+  const prepare = cloner.cloneStages.find((item) => item.name === "prepare");
+  const clones = [];
+  for (let i = 0; i < 2; i++) {
+    const clone = {
+      siteName: "My Site!",
+      options: {},
+      fetched: { responses: new Map() },
+    };
+    await prepare.run(clone);
+    cloner.cloneSessions.delete(clone.siteDir);
+    clones.push(clone);
+  }
+
+  assert.deepStrictEqual(
+    clones.map((clone) => clone.siteId),
+    ["my_site_", "my_site_1"]
+  );
+  await fs.access(path.join(clones[1].siteDir, "assets"));
+});
+
+test("pipeline clones an upload into a site folder", async () => {
+  const cloner = new WebsiteCloner(outputDir);
+  const result = await cloner.runClonePipeline(
+    [createUpload()],
+    UPLOAD_BASE_URL,
+    "Upload",
+    {}
+  );
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.method, "upload");
+  assert.deepStrictEqual(result.metadata.upload, { type: "html", files: 2 });
+  assert.deepStrictEqual(
+    result.metadata.pages.map((page) => page.path).sort(),
+    ["about.html", "index.html"]
+  );
+  assert.ok(
+    result.metadata.skippedAssets.some((asset) =>
+      asset.url.endsWith("missing.png")
+    )
+  );
+
+  const html = await fs.readFile(path.join(result.path, "index.html"), "utf8");
+  const $ = cheerio.load(html);
+  assert.match($("img").eq(0).attr("src"), /^\.\/assets\/[0-9a-f]+\.png$/);
+  assert.strictEqual($("img").eq(1).attr("src"), "missing.png");
+  assert.strictEqual(
+    await fs.readFile(path.join(result.path, "extracted-styles.css"), "utf8"),
+    "h1 { color: red; }"
+  );
+  assert.strictEqual(cloner.cloneSessions.size, 0);
+});
+
+test("pipeline falls back to the next strategy", async () => {
+  const cloner = new WebsiteCloner(outputDir);
+  const failing = {
+    name: "broken",
+    open: async () => {
+      throw new Error("cannot load");
+    },
+  };
+
+  const result = await cloner.runClonePipeline(
+    [failing, createUpload()],
+    UPLOAD_BASE_URL,
+    "Fallback",
+    {}
+  );
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.method, "upload");
+
+  const failed = await cloner.runClonePipeline(
+    [failing],
+    UPLOAD_BASE_URL,
+    "Failed",
+    {}
+  );
+  assert.deepStrictEqual(failed, {
+    success: false,
+    error: "cannot load",
+    method: "broken",
+  });
+});
+
+test("pipeline reports a failing stage and closes the fetch", async () => {
+  const cloner = new WebsiteCloner(outputDir);
+  cloner.cloneStages = [
+    ...cloner.cloneStages.slice(0, 1),
+    {
+      name: "explode",
+      run: () => {
+        throw new Error("stage failed");
+      },
+    },
+  ];
+  let closed = false;
+  const strategy = {
+    name: "stub",
+    open: async () => ({
+      html: "<p>Hi</p>",
+      responses: new Map(),
+      close: async () => {
+        closed = true;
+      },
+    }),
+  };
+
+  const result = await cloner.runClonePipeline(
+    [strategy],
+    UPLOAD_BASE_URL,
+    "Explode",
+    {}
+  );
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, "stage failed");
+  assert.strictEqual(result.method, "stub");
+  assert.ok(closed);
+  assert.strictEqual(cloner.cloneSessions.size, 0);
+});
+
+test("aborted clones stop and remove their folder", async () => {
+  const cloner = new WebsiteCloner(outputDir);
+  const controller = new AbortController();
+  let siteDir;
+  cloner.cloneStages = [
+    ...cloner.cloneStages.slice(0, 1),
+    {
+      name: "timeout",
+      run: (clone) => {
+        siteDir = clone.siteDir;
+        controller.abort(new Error("Operation timed out"));
+      },
+    },
+    ...cloner.cloneStages.slice(1),
+  ];
+
+  const result = await cloner.runClonePipeline(
+    [createUpload()],
+    UPLOAD_BASE_URL,
+    "Aborted",
+    { signal: controller.signal }
+  );
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, "Operation timed out");
+  await assert.rejects(fs.access(siteDir));
+});
+
+test("clone timeout grows with the pages a crawl may save", () => {
+  const cloner = new WebsiteCloner(outputDir);
+  assert.strictEqual(cloner.getCloneTimeout(undefined), 2 * 60 * 1000);
+  assert.strictEqual(
+    cloner.getCloneTimeout({ maxPages: 100 }),
+    2 * 60 * 1000 + 99 * 30 * 1000
+  );
+});
+
+test("cloneWebsite clears its timeout once the clone is done", async () => {
+  const cloner = new WebsiteCloner(outputDir);
+  const result = await cloner.cloneWebsite(UPLOAD_BASE_URL, "Timer", {
+    strategy: createUpload(),
+  });
+  assert.strictEqual(result.success, true, result.error);
+});
+
+test("stripping trackers records the site before and after as versions", async () => {
+  const siteDir = path.join(outputDir, "tracked");
+  await fs.mkdir(siteDir);
+  await fs.writeFile(
+    path.join(siteDir, "index.html"),
+    `<html><head><script async src="https://www.googletagmanager.com/gtag/js?id=G-1"></script></head><body>Hi</body></html>`
+  );
+  await fs.writeFile(
+    path.join(siteDir, "metadata.json"),
+    JSON.stringify({
+      originalUrl: "https://example.com/",
+      pages: [{ url: "https://example.com/", path: "index.html" }],
+    })
+  );
+
+  const removed = await new WebsiteCloner(outputDir).stripSiteTrackers(
+    "tracked"
+  );
+  assert.strictEqual(removed.length, 1);
+
+  const versions = await listVersions(siteDir);
+  assert.deepStrictEqual(
+    versions.map((version) => version.summary),
+    ["Stripped trackers", "Site before its first recorded change"]
+  );
+  const diff = await diffVersions(siteDir, versions[1].id, versions[0].id);
+  assert.deepStrictEqual(
+    diff.files.map((file) => [file.path, file.status]),
+    [["index.html", "changed"]]
+  );
+});
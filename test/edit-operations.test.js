@@ -0,0 +1,106 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const { mkdtempSync } = require("fs");
+const os = require("os");
+const path = require("path");
+
+const workDir = mkdtempSync(path.join(os.tmpdir(), "edit-operations-"));
+process.env.SITE_DATA_DIR = path.join(workDir, "site_data");
+
+const {
+  recordOperation,
+  getOperations,
+  undoOperation,
+  redoOperation,
+} = require("../services/edit-operations");
+
+const siteDir = path.join(workDir, "cloned_sites", "site");
+let session = 0;
+
+before(async () => {
+  await fs.mkdir(siteDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// A new session with one logged edit of index.html from "v1" to "v2"
+async function startEditedSession() {
+  const sessionId = `session-${++session}`;
+  await fs.writeFile(path.join(siteDir, "index.html"), "v2");
+  await fs.writeFile(
+    path.join(siteDir, "metadata.json"),
+    JSON.stringify({ edits: [{ id: "edit-1" }] })
+  );
+  await recordOperation(siteDir, sessionId, {
+    type: "text",
+    page: "index.html",
+    summary: "Changed text",
+    before: "v1",
+    after: "v2",
+    edits: [{ id: "edit-1" }],
+  });
+  return sessionId;
+}
+
+async function readPage() {
+  return fs.readFile(path.join(siteDir, "index.html"), "utf8");
+}
+
+test("undo and redo step the page and edit log", async () => {
+  const sessionId = await startEditedSession();
+
+  await undoOperation(siteDir, sessionId);
+  assert.strictEqual(await readPage(), "v1");
+  const metadata = JSON.parse(
+    await fs.readFile(path.join(siteDir, "metadata.json"), "utf8")
+  );
+  assert.deepStrictEqual(metadata.edits, []);
+  const { operations, canUndo, canRedo } = await getOperations(
+    siteDir,
+    sessionId
+  );
+  assert.strictEqual(operations[0].undone, true);
+  assert.deepStrictEqual([canUndo, canRedo], [false, true]);
+
+  await redoOperation(siteDir, sessionId);
+  assert.strictEqual(await readPage(), "v2");
+  await assert.rejects(redoOperation(siteDir, sessionId), {
+    statusCode: 409,
+    message: "Nothing to redo",
+  });
+});
+
+test("undo refuses pages changed after the operation", async () => {
+  const sessionId = await startEditedSession();
+  await fs.writeFile(path.join(siteDir, "index.html"), "changed elsewhere");
+
+  await assert.rejects(undoOperation(siteDir, sessionId), {
+    statusCode: 409,
+    message: "index.html was changed after this operation and cannot be undone",
+  });
+  assert.strictEqual(await readPage(), "changed elsewhere");
+});
+
+test("redo refuses pages changed after the undo", async () => {
+  const sessionId = await startEditedSession();
+  await undoOperation(siteDir, sessionId);
+  await fs.writeFile(path.join(siteDir, "index.html"), "changed elsewhere");
+
+  await assert.rejects(redoOperation(siteDir, sessionId), {
+    statusCode: 409,
+    message: "index.html was changed after this operation and cannot be redone",
+  });
+  assert.strictEqual(await readPage(), "changed elsewhere");
+});
+
+test("sessions are kept out of the site folder", async () => {
+  const sessionId = await startEditedSession();
+  await fs.access(
+    path.join(workDir, "site_data", "site", "operations", sessionId, "log.json")
+  );
+  await assert.rejects(fs.access(path.join(siteDir, "operations")));
+  await assert.rejects(getOperations(siteDir, "../x"), { statusCode: 400 });
+});
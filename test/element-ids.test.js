@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const cheerio = require("cheerio");
+const {
+  assignElementIds,
+  findElementById,
+  stripEditorAttributes,
+} = require("../services/element-ids");
+
+test("stripEditorAttributes removes editor attributes but class color ids", () => {
+  const $ = cheerio.load(
+    '<h1 data-editor-id="el-1a2b3c4d" data-editor-class-color-id="c1" class="title">Hi</h1>' +
+      '<p data-editor-text-color-id="t1">Text</p><p data-editors="x">Other</p>'
+  );
+  stripEditorAttributes($);
+
+  assert.strictEqual(
+    $("body").html(),
+    '<h1 data-editor-class-color-id="c1" class="title">Hi</h1>' +
+      '<p>Text</p><p data-editors="x">Other</p>'
+  );
+});
+
+test("stripEditorAttributes can replace class color ids by classes", () => {
+  const $ = cheerio.load(
+    '<h1 data-editor-class-color-id="c1">A</h1><h2 data-editor-class-color-id="c2">B</h2>'
+  );
+  stripEditorAttributes($, new Map([["c1", "editor-color-1"]]));
+
+  assert.strictEqual(
+    $("body").html(),
+    '<h1 class="editor-color-1">A</h1><h2>B</h2>'
+  );
+});
+
+test("stripEditorAttributes leaves matching text alone", () => {
+  const text = ' data-editor-id="el-1a2b3c4d"';
+  const $ = cheerio.load(
+    `<script>var markup = '<b${text}>';</script>` +
+      `<textarea>${text}</textarea><p data-editor-id="el-1">${text}</p>`
+  );
+  stripEditorAttributes($);
+
+  assert.strictEqual($("script").html(), `var markup = '<b${text}>';`);
+  assert.strictEqual($("textarea").text(), text);
+  assert.strictEqual($("p").text(), text);
+  assert.strictEqual($("p").attr("data-editor-id"), undefined);
+});
+
+test("assignElementIds keeps existing ids and replaces duplicates", () => {
+  const $ = cheerio.load(
+    '<body><p data-editor-id="el-same">A</p><p data-editor-id="el-same">B</p><script></script></body>'
+  );
+
+  assert.strictEqual(assignElementIds($), 2);
+  const ids = $("p")
+    .map((i, elem) => $(elem).attr("data-editor-id"))
+    .get();
+  assert.strictEqual(ids[0], "el-same");
+  assert.match(ids[1], /^el-[0-9a-f]{8}$/);
+  assert.strictEqual($("script").attr("data-editor-id"), undefined);
+  assert.strictEqual(findElementById($, "bg_color_el-same").text(), "A");
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { FetchScheduler } = require("../services/fetch-scheduler");
+const { AxiosFetchStrategy } = require("../services/fetch-strategies");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/robots.txt") {
+      res.end("User-agent: *\nDisallow: /private\n");
+    } else {
+      res.setHeader("Content-Type", "text/html");
+      res.end("<p>Page</p>");
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("run spaces tasks on one host by the rate limit", async () => {
+  const scheduler = new FetchScheduler({ rateLimit: 10 });
+  const startedAt = [];
+  const results = await Promise.all(
+    [1, 2, 3].map((value) =>
+      scheduler.run("https://example.com/page", async () => {
+        startedAt.push(Date.now());
+        return value;
+      })
+    )
+  );
+
+  assert.deepStrictEqual(results, [1, 2, 3]);
+  assert.ok(startedAt[2] - startedAt[0] >= 180, startedAt.join(", "));
+});
+
+test("landing pages disallowed by robots.txt are not fetched", async () => {
+  const strategy = new AxiosFetchStrategy({ getRequestHeaders: () => ({}) });
+  const open = (pageUrl, respectRobots) =>
+    strategy.open(pageUrl, {
+      browserOptions: {},
+      scheduler: new FetchScheduler({ respectRobots }),
+      reportStage: () => {},
+    });
+
+  await assert.rejects(
+    open(`${baseUrl}/private/page`, true),
+    /disallowed by robots\.txt/
+  );
+  const fetched = await open(`${baseUrl}/private/page`, false);
+  assert.strictEqual(fetched.html, "<p>Page</p>");
+  assert.strictEqual(
+    (await open(`${baseUrl}/public`, true)).html,
+    fetched.html
+  );
+});
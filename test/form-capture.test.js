@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const cheerio = require("cheerio");
+const { detectForms, rerouteForm } = require("../services/form-capture");
+
+test("detectForms gives forms ids and describes their fields", () => {
+  const $ = cheerio.load(`
+    <form action="/subscribe" method="POST">
+      <input name="email" type="email">
+      <input name="email" type="email">
+      <select name="plan"></select>
+      <textarea name="note"></textarea>
+      <input type="submit" name="go">
+    </form>
+    <form data-form-id="about-index-1"><input name="q"></form>
+  `);
+
+  const forms = detectForms(
+    $,
+    "https://example.com/about/",
+    "about/index.html"
+  );
+  assert.deepStrictEqual(forms, [
+    {
+      id: "about-index-2",
+      page: "about/index.html",
+      action: "https://example.com/subscribe",
+      method: "post",
+      fields: [
+        { name: "email", type: "email" },
+        { name: "plan", type: "select" },
+        { name: "note", type: "textarea" },
+      ],
+    },
+    {
+      id: "about-index-1",
+      page: "about/index.html",
+      action: "https://example.com/about/",
+      method: "get",
+      fields: [{ name: "q", type: "text" }],
+    },
+  ]);
+  assert.strictEqual($("form").first().attr("data-form-id"), "about-index-2");
+});
+
+test("detectForms keeps the original action of rerouted forms", () => {
+  const $ = cheerio.load(
+    '<form action="https://forms.example.com/send" method="post"></form>'
+  );
+  const [form] = detectForms($, "https://example.com/", "index.html");
+  rerouteForm($, form.id, "/api/sites/site/forms/index-1");
+
+  assert.deepStrictEqual(detectForms($, "https://example.com/", "index.html"), [
+    { ...form, fields: [] },
+  ]);
+});
@@ -0,0 +1,166 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const cheerio = require("cheerio");
+const {
+  normalizeLinkRules,
+  applyLinkRules,
+} = require("../services/link-rules");
+
+const PAGE_URL = "https://example.com/";
+
+test("applyLinkRules rewrites links with the first matching rule", () => {
+  const $ = cheerio.load(`
+    <a href="https://shop.example.org/cart">Cart</a>
+    <a href="/pricing/plans">Plans</a>
+    <a href="https://other.com/item-42">Item</a>
+    <a href="https://other.com/">Sign up now</a>
+    <button>Sign up</button>
+    <a href="/about">About</a>
+  `);
+  const rules = normalizeLinkRules([
+    { type: "domain", value: "Example.org", url: "https://a.test/" },
+    { type: "pathPrefix", value: "/pricing", url: "https://b.test/" },
+    { type: "regex", value: "item-\\d+$", url: "https://c.test/" },
+    {
+      type: "text",
+      value: "sign up",
+      url: "https://d.test/?utm_source=kept",
+      utm: { source: "site", campaign: "launch" },
+    },
+  ]);
+
+  const changes = applyLinkRules($, rules, PAGE_URL);
+  assert.deepStrictEqual(
+    changes.map((change) => [change.rule, change.element, change.to]),
+    [
+      [0, "a", "https://a.test/"],
+      [1, "a", "https://b.test/"],
+      [2, "a", "https://c.test/"],
+      [3, "a", "https://d.test/?utm_source=kept&utm_campaign=launch"],
+      [3, "button", "https://d.test/?utm_source=kept&utm_campaign=launch"],
+    ]
+  );
+  assert.strictEqual($("a").eq(1).attr("data-original-href"), "/pricing/plans");
+  assert.strictEqual($("a").last().attr("href"), "/about");
+  assert.match($("button").attr("onclick"), /^window\.location\.href=/);
+});
+
+test("applyLinkRules starts again from the page as cloned", () => {
+  const $ = cheerio.load(
+    '<a href="/pricing">Pricing</a><button onclick="go()">Buy</button>'
+  );
+  applyLinkRules(
+    $,
+    normalizeLinkRules([
+      { type: "text", value: "pricing", url: "https://a.test/" },
+      { type: "text", value: "buy", url: "https://a.test/" },
+    ]),
+    PAGE_URL
+  );
+
+  const changes = applyLinkRules($, [], PAGE_URL);
+  assert.deepStrictEqual(changes, []);
+  assert.strictEqual($("a").attr("href"), "/pricing");
+  assert.strictEqual($("a").attr("data-original-href"), undefined);
+  assert.strictEqual($("button").attr("onclick"), "go()");
+});
+
+test("normalizeLinkRules rejects invalid rules", () => {
+  assert.throws(() => normalizeLinkRules({}), /must be an array/);
+  assert.throws(
+    () => normalizeLinkRules([{ type: "css", value: "a", url: "https://a/" }]),
+    /Rule 1: type must be one of/
+  );
+  assert.throws(
+    () => normalizeLinkRules([{ type: "text", value: "a", url: "ftp://a/" }]),
+    /Rule 1: url must be an http\(s\) URL/
+  );
+  assert.throws(
+    () =>
+      normalizeLinkRules([{ type: "regex", value: "(", url: "https://a/" }]),
+    /Rule 1: invalid regex/
+  );
+  for (const value of ["(a+)+$", "(\\w)\\1", "a".repeat(201)]) {
+    assert.throws(
+      () => normalizeLinkRules([{ type: "regex", value, url: "https://a/" }]),
+      /Rule 1/,
+      value
+    );
+  }
+});
+
+test("normalizeLinkRules does not save compiled patterns", () => {
+  const [rule] = normalizeLinkRules([
+    { type: "regex", value: "\\.pdf$", url: "https://a.test/" },
+  ]);
+  assert.ok(rule.pattern instanceof RegExp);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(rule)), {
+    type: "regex",
+    value: "\\.pdf$",
+    url: "https://a.test/",
+    utm: null,
+  });
+});
+
+test("normalizeLinkRules rejects patterns that backtrack badly", () => {
+  const cases = {
+    "(a|a)*b": /must not repeat a group containing alternatives/,
+    "(?:x|y)+z": /must not repeat a group containing alternatives/,
+    "(.*a){12}": /must not repeat a group containing a quantifier/,
+    "((ab)*c){2,}": /must not repeat a group containing a quantifier/,
+    ".*.*.*x": /must not stack unbounded quantifiers/,
+    "\\w+\\w*x": /must not stack unbounded quantifiers/,
+    "a+?a+?x": /must not stack unbounded quantifiers/,
+  };
+  for (const [value, error] of Object.entries(cases)) {
+    assert.throws(
+      () => normalizeLinkRules([{ type: "regex", value, url: "https://a/" }]),
+      error,
+      value
+    );
+  }
+});
+
+test("normalizeLinkRules accepts common patterns", () => {
+  for (const value of [
+    "^https?://(www\\.)?example\\.com/",
+    "/(checkout|cart)/",
+    "/product/\\d+/[^/]+/buy$",
+    "\\.(pdf|zip)$",
+    "[(|)*]+x",
+    "(?<slug>[a-z-]+)\\.html",
+  ]) {
+    normalizeLinkRules([{ type: "regex", value, url: "https://a/" }]);
+  }
+});
+
+test("regex rules that take too long stop matching", () => {
+  const longUrl = `https://e.com/${"a".repeat(2100)}`;
+  const $ = cheerio.load(
+    `<a href="${longUrl}">One</a><a href="${longUrl}">Two</a>` +
+      '<a href="https://e.com/ab">Three</a>'
+  );
+  const [rule] = normalizeLinkRules([
+    { type: "regex", value: ".*a.*b$", url: "https://a.test/" },
+  ]);
+
+  const startedAt = Date.now();
+  const changes = applyLinkRules($, [rule], PAGE_URL);
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.deepStrictEqual(changes, []);
+});
+
+test("applyLinkRules resolves links against the page's base", () => {
+  const $ = cheerio.load(
+    '<head><base href="../"></head><a href="./pricing/index.html">Plans</a>'
+  );
+  const changes = applyLinkRules(
+    $,
+    normalizeLinkRules([
+      { type: "pathPrefix", value: "/pricing/", url: "https://a.test/" },
+    ]),
+    "https://example.com/about/"
+  );
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual($("a").attr("href"), "https://a.test/");
+});
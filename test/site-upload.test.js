@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseMhtml } = require("../services/site-upload");
+
+function createMhtml(parts) {
+  return Buffer.from(
+    [
+      "From: <Saved by Blink>",
+      'Content-Type: multipart/related; type="text/html"; boundary="----=_Part"',
+      "",
+      ...parts.flatMap((part) => ["------=_Part", part]),
+      "------=_Part--",
+    ].join("\r\n"),
+    "latin1"
+  );
+}
+
+test("parseMhtml splits the page from its resources", () => {
+  const archive = createMhtml([
+    [
+      "Content-Type: text/html",
+      "Content-Transfer-Encoding: quoted-printable",
+      "Content-Location: https://example.com/",
+      "",
+      '<p class=3D"intro">Caf=C3=A9 =',
+      "au lait</p>",
+    ].join("\r\n"),
+    [
+      "Content-Type: image/png",
+      "Content-Transfer-Encoding: base64",
+      "Content-Location: https://example.com/logo.png",
+      "",
+      Buffer.from("png bytes").toString("base64"),
+    ].join("\r\n"),
+  ]);
+
+  const { html, location, resources } = parseMhtml(archive);
+  assert.strictEqual(html, '<p class="intro">Café au lait</p>');
+  assert.strictEqual(location, "https://example.com/");
+  assert.strictEqual(resources.length, 1);
+  assert.strictEqual(resources[0].location, "https://example.com/logo.png");
+  assert.strictEqual(resources[0].contentType, "image/png");
+  assert.strictEqual(resources[0].body.toString(), "png bytes");
+});
+
+test("parseMhtml decodes single-byte charsets", () => {
+  const archive = createMhtml([
+    [
+      'Content-Type: text/html; charset="windows-1252"',
+      "Content-Transfer-Encoding: quoted-printable",
+      "",
+      "Caf=E9",
+    ].join("\r\n"),
+  ]);
+  assert.strictEqual(parseMhtml(archive).html, "Café");
+});
+
+test("parseMhtml rejects archives without a page", () => {
+  assert.throws(
+    () => parseMhtml(Buffer.from("<html></html>")),
+    /missing headers/
+  );
+  assert.throws(
+    () => parseMhtml(Buffer.from("Content-Type: text/html\r\n\r\n<p>")),
+    /missing multipart boundary/
+  );
+  assert.throws(
+    () => parseMhtml(createMhtml(["Content-Type: text/css\r\n\r\nbody {}"])),
+    /contains no HTML page/
+  );
+});
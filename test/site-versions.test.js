@@ -0,0 +1,109 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const { mkdtempSync } = require("fs");
+const os = require("os");
+const path = require("path");
+
+const workDir = mkdtempSync(path.join(os.tmpdir(), "site-versions-"));
+process.env.SITE_DATA_DIR = path.join(workDir, "site_data");
+
+const {
+  createVersion,
+  diffVersions,
+  restoreVersion,
+} = require("../services/site-versions");
+
+const siteDir = path.join(workDir, "cloned_sites", "site");
+
+before(async () => {
+  await fs.mkdir(siteDir, { recursive: true });
+  await fs.writeFile(
+    path.join(siteDir, "metadata.json"),
+    JSON.stringify({ pages: [{ path: "index.html" }] })
+  );
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+async function writePage(lines) {
+  await fs.writeFile(path.join(siteDir, "index.html"), lines.join("\n"));
+}
+
+test("diffVersions diffs pages line by line", async () => {
+  const lines = ["<html>", "<body>", "a", "b", "c", "d", "e", "f", "g", "h"];
+  await writePage(lines);
+  const from = await createVersion(siteDir, { summary: "Cloned" });
+  await writePage([...lines.slice(0, 3), "B", ...lines.slice(4, 9), "i", "h"]);
+  const to = await createVersion(siteDir, { summary: "Edited" });
+
+  const diff = await diffVersions(siteDir, from.id, to.id);
+  assert.strictEqual(diff.from.summary, "Cloned");
+  assert.strictEqual(diff.files.length, 1);
+  assert.strictEqual(diff.files[0].path, "index.html");
+  assert.strictEqual(diff.files[0].status, "changed");
+  assert.deepStrictEqual(
+    diff.files[0].hunks.map((hunk) => ({
+      ...hunk,
+      lines: hunk.lines.map((line) => `${line.type[0]} ${line.text}`),
+    })),
+    [
+      {
+        oldStart: 1,
+        newStart: 1,
+        lines: [
+          "c <html>",
+          "c <body>",
+          "c a",
+          "r b",
+          "a B",
+          "c c",
+          "c d",
+          "c e",
+          "c f",
+          "c g",
+          "a i",
+          "c h",
+        ],
+      },
+    ]
+  );
+});
+
+test("diffVersions splits minified markup and lists removed files", async () => {
+  await writePage(["<p>one</p><p>two</p><p>three</p>"]);
+  await fs.writeFile(path.join(siteDir, "custom-colors.css"), "a{}");
+  const from = await createVersion(siteDir, { summary: "Minified" });
+  await writePage(["<p>one</p><p>2</p><p>three</p>"]);
+  await fs.unlink(path.join(siteDir, "custom-colors.css"));
+  const to = await createVersion(siteDir, { summary: "Edited" });
+
+  const { files } = await diffVersions(siteDir, from.id, to.id);
+  const page = files.find((file) => file.path === "index.html");
+  assert.deepStrictEqual(
+    page.hunks[0].lines.filter((line) => line.type !== "context"),
+    [
+      { type: "removed", text: "<p>two</p>" },
+      { type: "added", text: "<p>2</p>" },
+    ]
+  );
+  const styles = files.find((file) => file.path === "custom-colors.css");
+  assert.strictEqual(styles.status, "removed");
+  assert.strictEqual(styles.text, null);
+});
+
+test("restoreVersion brings back the files of a version", async () => {
+  await writePage(["before"]);
+  const version = await createVersion(siteDir, { summary: "Before" });
+  await writePage(["after"]);
+  await createVersion(siteDir, { summary: "After" });
+
+  await restoreVersion(siteDir, version.id, "tester");
+  assert.strictEqual(
+    await fs.readFile(path.join(siteDir, "index.html"), "utf8"),
+    "before"
+  );
+  await assert.rejects(restoreVersion(siteDir, 999), { statusCode: 404 });
+});